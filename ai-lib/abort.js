@@ -0,0 +1,78 @@
+// Cancellation Utilities
+// This module combines caller-provided AbortSignals with per-call timeouts.
+// It is shared by the orchestrator, LLM client, task classifier and chat title generator.
+
+/**
+ * Combine an optional AbortSignal with an optional timeout.
+ * The returned signal aborts when either the caller aborts or the timeout
+ * elapses; timeouts abort with a "TimeoutError" reason.
+ * @param {AbortSignal|null} signal - Caller's signal (optional).
+ * @param {number|null} timeoutMs - Timeout in milliseconds (optional).
+ * @returns {object} - { signal, clear } - call clear() once the work is done.
+ */
+export function withTimeout(signal = null, timeoutMs = null) {
+  if (!timeoutMs) {
+    return { signal: signal || null, clear: () => {} };
+  }
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  }
+  const timer = setTimeout(() => {
+    controller.abort(
+      new DOMException(`Timed out after ${timeoutMs}ms`, "TimeoutError")
+    );
+  }, timeoutMs);
+
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+    },
+  };
+}
+
+/**
+ * Describe why a signal was aborted.
+ * @param {AbortSignal|null} signal - The signal to inspect.
+ * @returns {string|null} - "timeout", "cancelled", or null if not aborted.
+ */
+export function getAbortType(signal) {
+  if (!signal || !signal.aborted) return null;
+  return signal.reason?.name === "TimeoutError" ? "timeout" : "cancelled";
+}
+
+/**
+ * Wait for the given number of milliseconds, rejecting early if the signal aborts.
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal|null} signal - Optional signal.
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
@@ -0,0 +1,344 @@
+// Adaptive Router Library
+// This module learns which model to use for each task and complexity from observed latency, errors, cost and feedback.
+// It picks among candidate models with a multi-armed bandit policy, within optional cost and latency constraints.
+
+// Explore/exploit policies
+export const ADAPTIVE_POLICIES = {
+  UCB: "ucb", // Upper confidence bound: favor high scores plus a bonus for rarely tried models
+  EPSILON_GREEDY: "epsilon-greedy", // Best score, except a random model with probability explorationRate
+};
+
+// Default router options
+export const DEFAULT_ADAPTIVE_OPTIONS = {
+  policy: ADAPTIVE_POLICIES.UCB,
+  explorationRate: 0.1, // epsilon-greedy: share of calls sent to a random model
+  explorationWeight: 0.5, // UCB: size of the bonus for rarely tried models (scores are 0-1)
+  minSamples: 3, // Calls each model gets before its scores and constraints are trusted
+  maxCostPerCall: null, // USD; models that cost more on average are skipped
+  latencyTargetMs: null, // Models whose p95 latency is above this are skipped
+  weights: { quality: 1, latency: 1, cost: 1 }, // Relative weight of each signal in the score
+  latencyScaleMs: 2000, // Average latency at which the latency score halves
+  costScale: 0.001, // Average cost (USD) at which the cost score halves
+  latencyWindow: 100, // Recent latencies kept per model for the p95
+  expectedTokens: { input: 1000, output: 500 }, // Used to estimate the cost of untried models
+};
+
+// Version of the state format written by exportState
+const STATE_VERSION = 1;
+
+/**
+ * Create empty outcome stats for a task, complexity and model.
+ */
+function emptyStats() {
+  return {
+    calls: 0,
+    errors: 0,
+    totalLatencyMs: 0,
+    latencies: [],
+    totalCost: 0,
+    feedbackCount: 0,
+    feedbackSum: 0,
+  };
+}
+
+// Adaptive router class: records per-(task, complexity, model) outcomes and picks models from them
+export class AdaptiveRouter {
+  /**
+   * Construct a new AdaptiveRouter.
+   * @param {object} options - Router options (see DEFAULT_ADAPTIVE_OPTIONS).
+   * @param {function} options.random - Random number source in [0, 1) (for tests).
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_ADAPTIVE_OPTIONS,
+      ...options,
+      weights: { ...DEFAULT_ADAPTIVE_OPTIONS.weights, ...options.weights },
+    };
+    this.random = options.random || Math.random;
+    this.stats = {};
+  }
+
+  /**
+   * Update router options (e.g. tighten maxCostPerCall); learned stats are kept.
+   * @param {object} options - Options to change.
+   */
+  setOptions(options = {}) {
+    this.options = {
+      ...this.options,
+      ...options,
+      weights: { ...this.options.weights, ...options.weights },
+    };
+  }
+
+  /**
+   * Get the stats key for a task, complexity and model.
+   */
+  getKey(task, complexity, model) {
+    return `${task}:${complexity}:${model}`;
+  }
+
+  /**
+   * Get the stats for a task, complexity and model, creating them if needed.
+   */
+  getStats(task, complexity, model) {
+    const key = this.getKey(task, complexity, model);
+    if (!this.stats[key]) {
+      this.stats[key] = emptyStats();
+    }
+    return this.stats[key];
+  }
+
+  /**
+   * Record the outcome of one LLM call.
+   * @param {object} outcome - { task, complexity, model, success, latencyMs, cost (USD) }.
+   */
+  recordOutcome({ task, complexity, model, success, latencyMs, cost }) {
+    const stats = this.getStats(task, complexity, model);
+    stats.calls++;
+    stats.totalCost += cost || 0;
+    if (!success) {
+      stats.errors++;
+      return;
+    }
+    if (latencyMs !== undefined && latencyMs !== null) {
+      stats.totalLatencyMs += latencyMs;
+      stats.latencies.push(latencyMs);
+      if (stats.latencies.length > this.options.latencyWindow) {
+        stats.latencies.shift();
+      }
+    }
+  }
+
+  /**
+   * Record a quality signal for a model's answer (e.g. a thumbs up or down).
+   * @param {object} route - { task, complexity, model } of the answer.
+   * @param {number|boolean} score - Quality from 0 (bad) to 1 (good); true/false count as 1/0.
+   */
+  recordFeedback({ task, complexity, model }, score) {
+    const value = typeof score === "boolean" ? Number(score) : score;
+    if (typeof value !== "number" || value < 0 || value > 1) {
+      throw new Error(`Feedback score must be between 0 and 1, got ${score}`);
+    }
+    const stats = this.getStats(task, complexity, model);
+    stats.feedbackCount++;
+    stats.feedbackSum += value;
+  }
+
+  /**
+   * Summarize the stats of a task, complexity and model.
+   * @returns {object} - { calls, errorRate, avgLatencyMs, p95LatencyMs, avgCost, quality }
+   *   (quality is null without feedback).
+   */
+  summarize(task, complexity, model) {
+    const stats =
+      this.stats[this.getKey(task, complexity, model)] || emptyStats();
+    const successes = stats.calls - stats.errors;
+    const sorted = [...stats.latencies].sort((a, b) => a - b);
+    return {
+      calls: stats.calls,
+      errorRate: stats.calls > 0 ? stats.errors / stats.calls : 0,
+      avgLatencyMs: successes > 0 ? stats.totalLatencyMs / successes : null,
+      p95LatencyMs:
+        sorted.length > 0 ? sorted[Math.ceil(sorted.length * 0.95) - 1] : null,
+      avgCost: stats.calls > 0 ? stats.totalCost / stats.calls : null,
+      quality:
+        stats.feedbackCount > 0
+          ? stats.feedbackSum / stats.feedbackCount
+          : null,
+    };
+  }
+
+  /**
+   * Score a model's summary from 0 to 1: its success rate times the weighted
+   * average of its quality (0.5 without feedback), latency and cost scores.
+   */
+  score(summary) {
+    const { weights, latencyScaleMs, costScale } = this.options;
+    const quality = summary.quality ?? 0.5;
+    const latency =
+      summary.avgLatencyMs === null
+        ? 0.5
+        : latencyScaleMs / (latencyScaleMs + summary.avgLatencyMs);
+    const cost = costScale / (costScale + (summary.avgCost || 0));
+    const totalWeight = weights.quality + weights.latency + weights.cost || 1;
+    return (
+      (1 - summary.errorRate) *
+      ((weights.quality * quality +
+        weights.latency * latency +
+        weights.cost * cost) /
+        totalWeight)
+    );
+  }
+
+  /**
+   * Check a model against maxCostPerCall and latencyTargetMs. Observed
+   * averages are used once a model has minSamples calls; before that the
+   * cost is estimated and latency is not judged.
+   */
+  meetsConstraints(summary, estimatedCost) {
+    const { maxCostPerCall, latencyTargetMs, minSamples } = this.options;
+    const trusted = summary.calls >= minSamples;
+    const cost = trusted ? summary.avgCost : estimatedCost;
+    if (maxCostPerCall !== null && cost !== null && cost > maxCostPerCall) {
+      return false;
+    }
+    if (
+      latencyTargetMs !== null &&
+      trusted &&
+      summary.p95LatencyMs !== null &&
+      summary.p95LatencyMs > latencyTargetMs
+    ) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Pick a model for a task and complexity. Models that break a constraint
+   * are skipped (all are considered if none meets them), models with fewer
+   * than minSamples calls are tried first in candidate order, and the rest
+   * are chosen by the configured policy.
+   * @param {object} request - Selection request.
+   * @param {string} request.task - Task type.
+   * @param {string} request.complexity - Complexity level.
+   * @param {Array<string>} request.candidates - Models to choose from, in default order.
+   * @param {function} request.estimateCost - (model) => estimated USD per call, for untried models.
+   * @returns {string} - The chosen model ID.
+   */
+  selectModel({ task, complexity, candidates, estimateCost }) {
+    const summaries = candidates.map((model) => ({
+      model,
+      summary: this.summarize(task, complexity, model),
+    }));
+    let eligible = summaries.filter(({ model, summary }) =>
+      this.meetsConstraints(summary, estimateCost ? estimateCost(model) : null)
+    );
+    if (eligible.length === 0) {
+      console.warn(
+        `No model meets the adaptive routing constraints for ${task}/${complexity}; considering all candidates`
+      );
+      eligible = summaries;
+    }
+
+    const untried = eligible.find(
+      ({ summary }) => summary.calls < this.options.minSamples
+    );
+    if (untried) {
+      return untried.model;
+    }
+
+    if (this.options.policy === ADAPTIVE_POLICIES.EPSILON_GREEDY) {
+      if (this.random() < this.options.explorationRate) {
+        return eligible[Math.floor(this.random() * eligible.length)].model;
+      }
+      return this.pickBest(eligible, () => 0);
+    }
+
+    const totalCalls = eligible.reduce(
+      (sum, { summary }) => sum + summary.calls,
+      0
+    );
+    return this.pickBest(
+      eligible,
+      (summary) =>
+        this.options.explorationWeight *
+        Math.sqrt(Math.log(totalCalls) / summary.calls)
+    );
+  }
+
+  /**
+   * Pick the model with the highest score plus bonus (ties keep candidate order).
+   */
+  pickBest(eligible, bonus) {
+    let best = null;
+    let bestValue = -Infinity;
+    for (const { model, summary } of eligible) {
+      const value = this.score(summary) + bonus(summary);
+      if (value > bestValue) {
+        best = model;
+        bestValue = value;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Get a summary and score of every task, complexity and model observed so far.
+   * @returns {Array<object>} - { task, complexity, model, score, ...summary } entries.
+   */
+  getReport() {
+    return Object.keys(this.stats).map((key) => {
+      // Model IDs may contain ":" (e.g. "llama3.1:8b"), task and complexity do not
+      const [task, complexity, ...rest] = key.split(":");
+      const model = rest.join(":");
+      const summary = this.summarize(task, complexity, model);
+      return {
+        task,
+        complexity,
+        model,
+        score: this.score(summary),
+        ...summary,
+      };
+    });
+  }
+
+  /**
+   * Forget everything learned.
+   */
+  reset() {
+    this.stats = {};
+  }
+
+  /**
+   * Get the learned state as plain JSON data (to store anywhere).
+   * @returns {object} - { version, stats }.
+   */
+  exportState() {
+    return { version: STATE_VERSION, stats: structuredClone(this.stats) };
+  }
+
+  /**
+   * Replace the learned state with data from exportState.
+   * @param {object} state - { version, stats }.
+   */
+  importState(state) {
+    if (!state || state.version !== STATE_VERSION) {
+      throw new Error(
+        `Unsupported adaptive router state version: ${state?.version}`
+      );
+    }
+    this.stats = {};
+    for (const [key, stats] of Object.entries(state.stats || {})) {
+      this.stats[key] = { ...emptyStats(), ...stats };
+    }
+  }
+
+  /**
+   * Save the learned state to a JSON file.
+   * @param {string} path - File to write.
+   * @returns {Promise<void>}
+   */
+  async saveState(path) {
+    const { writeFile } = await import("node:fs/promises");
+    await writeFile(path, JSON.stringify(this.exportState(), null, 2) + "\n");
+  }
+
+  /**
+   * Load the learned state from a JSON file written by saveState. A missing
+   * file leaves the state empty.
+   * @param {string} path - File to read.
+   * @returns {Promise<boolean>} - Whether a saved state was loaded.
+   */
+  async loadState(path) {
+    const { readFile } = await import("node:fs/promises");
+    let data;
+    try {
+      data = await readFile(path, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+    this.importState(JSON.parse(data));
+    return true;
+  }
+}
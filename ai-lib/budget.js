@@ -0,0 +1,424 @@
+// Budget Library
+// This module tracks LLM spend and token usage per user, session or tenant and enforces daily/monthly limits.
+// Usage is kept in a pluggable store; in-memory and JSON-file stores are included.
+
+import { BudgetExceeded } from "./errors.js";
+
+// Identity fields budgets can be set on (passed to processQuery as options.identity)
+export const BUDGET_SCOPES = ["userId", "sessionId", "tenantId"];
+
+// Budget periods (calendar days and months, in UTC)
+export const BUDGET_PERIODS = ["daily", "monthly"];
+
+// Defaults: downgrade once 80% of any limit is used
+export const DEFAULT_BUDGET_OPTIONS = {
+  downgradeAt: 0.8,
+  downgradeStrategy: "COST_OPTIMIZED",
+};
+
+/**
+ * Create an empty usage record.
+ */
+function emptyUsage() {
+  return { cost: 0, tokens: 0, requests: 0 };
+}
+
+/**
+ * Add usage amounts to a usage record (mutates and returns it).
+ */
+function addUsage(usage, amounts) {
+  usage.cost += amounts.cost || 0;
+  usage.tokens += amounts.tokens || 0;
+  usage.requests += amounts.requests || 0;
+  return usage;
+}
+
+// In-memory budget store (usage is lost when the process exits)
+export class MemoryBudgetStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the usage recorded under a key.
+   * @param {string} key - Ledger key (scope, identity and period).
+   * @returns {Promise<object|null>} - { cost, tokens, requests }, or null if nothing was recorded.
+   */
+  async get(key) {
+    const usage = this.entries.get(key);
+    return usage ? { ...usage } : null;
+  }
+
+  /**
+   * Add usage under a key.
+   * @param {string} key - Ledger key.
+   * @param {object} amounts - { cost, tokens, requests }.
+   * @returns {Promise<object>} - The updated usage.
+   */
+  async increment(key, amounts) {
+    const usage = addUsage(this.entries.get(key) || emptyUsage(), amounts);
+    this.entries.set(key, usage);
+    return { ...usage };
+  }
+}
+
+// JSON-file budget store: keeps usage in memory and writes the file after each update
+export class JSONFileBudgetStore {
+  /**
+   * Construct a new JSONFileBudgetStore.
+   * @param {string} path - JSON file to load from and save to (created if missing).
+   */
+  constructor(path) {
+    this.path = path;
+    this.entries = null;
+    this.loading = null;
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the ledger from the file on first use (a missing file is empty).
+   * Concurrent first calls share one load, so none replaces another's updates.
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readEntries().catch((error) => {
+        // Let the next call retry
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the ledger file into entries.
+   */
+  async readEntries() {
+    const { readFile } = await import("node:fs/promises");
+    try {
+      const data = JSON.parse(await readFile(this.path, "utf8"));
+      this.entries = data.entries || {};
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.entries = {};
+    }
+  }
+
+  /**
+   * Write the ledger to the file. Writes are queued so they never interleave.
+   */
+  async save() {
+    const { writeFile } = await import("node:fs/promises");
+    const data = JSON.stringify({ version: 1, entries: this.entries }, null, 2);
+    this.saveQueue = this.saveQueue.then(() =>
+      writeFile(this.path, data + "\n")
+    );
+    return this.saveQueue;
+  }
+
+  async get(key) {
+    await this.load();
+    const usage = this.entries[key];
+    return usage ? { ...usage } : null;
+  }
+
+  async increment(key, amounts) {
+    await this.load();
+    const usage = addUsage(this.entries[key] || emptyUsage(), amounts);
+    this.entries[key] = usage;
+    await this.save();
+    return { ...usage };
+  }
+}
+
+// Budget manager class: checks identities against their limits and records spend
+export class BudgetManager {
+  /**
+   * Construct a new BudgetManager.
+   * @param {object} options - Budget options.
+   * @param {object} options.limits - Default limits per scope, e.g.
+   *   { tenantId: { monthly: { cost: 100 } }, userId: { daily: { cost: 1, tokens: 200000 } } }.
+   * @param {object} options.store - Usage store with async get(key) and increment(key, amounts) (default: in memory).
+   * @param {number} options.downgradeAt - Fraction of a limit after which queries use the downgrade strategy (default: 0.8).
+   * @param {string} options.downgradeStrategy - Model selection strategy for nearly exhausted budgets (default: COST_OPTIMIZED).
+   * @param {function} options.now - Clock returning a Date (for tests).
+   */
+  constructor(options = {}) {
+    this.limits = options.limits || {};
+    this.overrides = {};
+    this.store = options.store || new MemoryBudgetStore();
+    this.downgradeAt =
+      options.downgradeAt ?? DEFAULT_BUDGET_OPTIONS.downgradeAt;
+    this.downgradeStrategy =
+      options.downgradeStrategy || DEFAULT_BUDGET_OPTIONS.downgradeStrategy;
+    this.now = options.now || (() => new Date());
+    // Estimated usage of queries still running, by ledger key (in this process only)
+    this.reservations = new Map();
+    this.checkQueue = Promise.resolve();
+  }
+
+  /**
+   * Set the default limits for a scope (every identity in it).
+   * @param {string} scope - "userId", "sessionId" or "tenantId".
+   * @param {object} limits - { daily: { cost, tokens }, monthly: { cost, tokens } } (null removes them).
+   */
+  setScopeLimits(scope, limits) {
+    this.validateScope(scope);
+    this.limits[scope] = limits;
+  }
+
+  /**
+   * Set limits for one identity, replacing its scope's defaults.
+   * @param {string} scope - "userId", "sessionId" or "tenantId".
+   * @param {string} id - The identity (e.g. a tenant ID).
+   * @param {object|null} limits - { daily, monthly } limits (null restores the scope's defaults).
+   */
+  setLimits(scope, id, limits) {
+    this.validateScope(scope);
+    this.overrides[scope] = this.overrides[scope] || {};
+    if (limits) {
+      this.overrides[scope][id] = limits;
+    } else {
+      delete this.overrides[scope][id];
+    }
+  }
+
+  /**
+   * Get the limits that apply to one identity.
+   * @param {string} scope - Budget scope.
+   * @param {string} id - The identity.
+   * @returns {object|null} - { daily, monthly } limits, or null if unlimited.
+   */
+  getLimits(scope, id) {
+    return this.overrides[scope]?.[id] || this.limits[scope] || null;
+  }
+
+  /**
+   * Throw if a scope is not one of BUDGET_SCOPES.
+   */
+  validateScope(scope) {
+    if (!BUDGET_SCOPES.includes(scope)) {
+      throw new Error(
+        `Unknown budget scope "${scope}" (expected ${BUDGET_SCOPES.join(", ")})`
+      );
+    }
+  }
+
+  /**
+   * Get the key of the period containing a date, e.g. "2024-05-17" or "2024-05".
+   */
+  getPeriodKey(period, date) {
+    const day = date.toISOString().slice(0, 10);
+    return period === "daily" ? day : day.slice(0, 7);
+  }
+
+  /**
+   * Get when the period containing a date ends (UTC midnight).
+   */
+  getPeriodEnd(period, date) {
+    const end = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+    );
+    if (period === "daily") {
+      end.setUTCDate(end.getUTCDate() + 1);
+    } else {
+      end.setUTCDate(1);
+      end.setUTCMonth(end.getUTCMonth() + 1);
+    }
+    return end;
+  }
+
+  /**
+   * Get the ledger entries (scope, id, period, limit) that apply to an identity.
+   */
+  getLedgerEntries(identity = {}) {
+    const now = this.now();
+    const entries = [];
+    for (const scope of BUDGET_SCOPES) {
+      const id = identity[scope];
+      if (id === undefined || id === null) continue;
+      const limits = this.getLimits(scope, id) || {};
+      for (const period of BUDGET_PERIODS) {
+        entries.push({
+          scope,
+          id,
+          period,
+          limit: limits[period] || null,
+          key: `${scope}:${id}:${period}:${this.getPeriodKey(period, now)}`,
+          resetsAt: this.getPeriodEnd(period, now).toISOString(),
+        });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Check an identity's budgets before a query. Usage includes the
+   * reservations of queries still running, and checks run one at a time so
+   * concurrent queries cannot all pass on the same remaining budget.
+   * @param {object} identity - { userId, sessionId, tenantId } (any subset).
+   * @param {object} options - Optional { reserve: { cost, tokens } }: the query's estimated
+   *   usage, held against the budgets if the query is allowed (see settle and release).
+   * @returns {Promise<object>} - { allowed, downgrade, strategy, budgets, exceeded, error, reservation }.
+   *   budgets lists { scope, id, period, limit, usage, used } for every limited period
+   *   (used is the highest fraction of the cost or token limit consumed); error is a
+   *   BudgetExceeded when allowed is false; reservation is set when options.reserve was held.
+   */
+  check(identity = {}, options = {}) {
+    const result = this.checkQueue.then(() =>
+      this.evaluate(identity, options.reserve)
+    );
+    this.checkQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Check an identity's budgets and hold a reservation if allowed (see check).
+   */
+  async evaluate(identity, reserve) {
+    const entries = this.getLedgerEntries(identity);
+    const budgets = [];
+    for (const entry of entries) {
+      if (!entry.limit) continue;
+      const usage = addUsage(
+        (await this.store.get(entry.key)) || emptyUsage(),
+        this.reservations.get(entry.key) || {}
+      );
+      const fractions = [];
+      if (entry.limit.cost !== undefined) {
+        fractions.push(usage.cost / entry.limit.cost);
+      }
+      if (entry.limit.tokens !== undefined) {
+        fractions.push(usage.tokens / entry.limit.tokens);
+      }
+      budgets.push({
+        scope: entry.scope,
+        id: entry.id,
+        period: entry.period,
+        limit: entry.limit,
+        usage,
+        used: Math.max(0, ...fractions),
+        resetsAt: entry.resetsAt,
+      });
+    }
+
+    const exceeded = budgets.filter((budget) => budget.used >= 1);
+    const downgrade =
+      exceeded.length === 0 &&
+      budgets.some((budget) => budget.used >= this.downgradeAt);
+    const allowed = exceeded.length === 0;
+    return {
+      allowed,
+      downgrade,
+      strategy: downgrade ? this.downgradeStrategy : null,
+      budgets,
+      exceeded,
+      error: allowed ? null : this.createExceededError(exceeded),
+      reservation:
+        allowed && reserve ? this.reserve(identity, entries, reserve) : null,
+    };
+  }
+
+  /**
+   * Hold estimated usage against ledger entries until it is settled or released.
+   */
+  reserve(identity, entries, amounts) {
+    const reservation = {
+      identity,
+      keys: entries.map((entry) => entry.key),
+      amounts: { cost: amounts.cost || 0, tokens: amounts.tokens || 0 },
+      settled: false,
+    };
+    for (const key of reservation.keys) {
+      this.reservations.set(
+        key,
+        addUsage(this.reservations.get(key) || emptyUsage(), {
+          ...reservation.amounts,
+          requests: 1,
+        })
+      );
+    }
+    return reservation;
+  }
+
+  /**
+   * Drop a reservation without charging it (e.g. the query never ran).
+   * Releasing a settled reservation does nothing.
+   * @param {object|null} reservation - The reservation from check.
+   */
+  release(reservation) {
+    if (!reservation || reservation.settled) return;
+    reservation.settled = true;
+    for (const key of reservation.keys) {
+      const usage = addUsage(this.reservations.get(key), {
+        cost: -reservation.amounts.cost,
+        tokens: -reservation.amounts.tokens,
+        requests: -1,
+      });
+      if (usage.requests === 0) {
+        this.reservations.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Replace a reservation with the query's actual spend. A reservation is
+   * only settled once; later calls do nothing.
+   * @param {object} reservation - The reservation from check.
+   * @param {object} amounts - { cost (USD), tokens } actually used.
+   * @returns {Promise<void>}
+   */
+  async settle(reservation, amounts = {}) {
+    if (reservation.settled) return;
+    this.release(reservation);
+    await this.record(reservation.identity, amounts);
+  }
+
+  /**
+   * Build the error for exhausted budgets, naming the first one.
+   */
+  createExceededError(exceeded) {
+    const [first] = exceeded;
+    const resetsAt = exceeded
+      .map((budget) => budget.resetsAt)
+      .sort()
+      .pop();
+    const spent =
+      first.limit.cost !== undefined && first.usage.cost >= first.limit.cost
+        ? `$${first.usage.cost.toFixed(4)} of $${first.limit.cost}`
+        : `${first.usage.tokens} of ${first.limit.tokens} tokens`;
+    const period = first.period === "daily" ? "Daily" : "Monthly";
+    return new BudgetExceeded(
+      `${period} budget for ${first.scope} "${first.id}" is used up (${spent}); it resets at ${first.resetsAt}`,
+      { details: exceeded, resetsAt }
+    );
+  }
+
+  /**
+   * Record a query's spend against every budget of an identity (including
+   * periods without limits, so usage is available for reporting).
+   * @param {object} identity - { userId, sessionId, tenantId } (any subset).
+   * @param {object} amounts - { cost (USD), tokens }.
+   * @returns {Promise<void>}
+   */
+  async record(identity = {}, amounts = {}) {
+    for (const entry of this.getLedgerEntries(identity)) {
+      await this.store.increment(entry.key, { ...amounts, requests: 1 });
+    }
+  }
+
+  /**
+   * Get an identity's recorded usage for the current day or month.
+   * @param {string} scope - Budget scope.
+   * @param {string} id - The identity.
+   * @param {string} period - "daily" or "monthly".
+   * @returns {Promise<object>} - { cost, tokens, requests }.
+   */
+  async getUsage(scope, id, period = "monthly") {
+    this.validateScope(scope);
+    const entry = this.getLedgerEntries({ [scope]: id }).find(
+      (candidate) => candidate.period === period
+    );
+    return (await this.store.get(entry.key)) || emptyUsage();
+  }
+}
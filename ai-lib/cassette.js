@@ -0,0 +1,166 @@
+// Cassette Library
+// This module records LLM HTTP exchanges to a JSON file and replays them later without the network.
+// It lets tests run the full pipeline (classification, context, LLM client) deterministically and offline.
+
+// Cassette modes
+export const CASSETTE_MODES = {
+  RECORD: "record", // Call the provider and save every exchange
+  REPLAY: "replay", // Serve saved exchanges; never record
+};
+
+// Error thrown in strict replay mode when a request has no recorded response
+export class CassetteMissError extends Error {
+  constructor(key, path) {
+    super(
+      `No recorded response in cassette ${
+        path || "(in-memory)"
+      } for request: ${key.substring(0, 300)}`
+    );
+    this.name = "CassetteMissError";
+    this.key = key;
+  }
+}
+
+/**
+ * Serialize a value to JSON with object keys sorted, so equal requests
+ * always produce the same key regardless of property order.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Cassette class: stores request/response pairs and serves them in place of fetch
+export class Cassette {
+  /**
+   * Construct a new Cassette instance.
+   * @param {object} options - Cassette options.
+   * @param {string|null} options.path - JSON file to load from and save to (null keeps it in memory).
+   * @param {string} options.mode - "record" or "replay" (default: replay).
+   * @param {boolean} options.strict - In replay mode, throw on unmatched requests instead of calling the network (default: true).
+   */
+  constructor(options = {}) {
+    this.path = options.path || null;
+    this.mode = options.mode || CASSETTE_MODES.REPLAY;
+    this.strict = options.strict !== false;
+    this.entries = [];
+    // How many times each key has been replayed (for repeated identical requests)
+    this.replayCounts = {};
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Build the match key for a request: its method, URL and body (model, messages
+   * and parameters), so identical bodies sent to different providers or
+   * endpoints never replay each other's responses. Headers (including API
+   * keys) are deliberately left out.
+   * @param {string} url - Request URL.
+   * @param {object} init - fetch options.
+   * @returns {string} - Match key.
+   */
+  static requestKey(url, init = {}) {
+    let body = init.body || null;
+    try {
+      body = JSON.parse(body);
+    } catch (e) {
+      // Keep non-JSON bodies as raw strings
+    }
+    const method = init.method || "GET";
+    return stableStringify({ method, url: String(url), body });
+  }
+
+  /**
+   * Load recorded entries from the cassette file (a missing file is empty).
+   */
+  async load() {
+    if (!this.path) return;
+    const { readFile } = await import("node:fs/promises");
+    try {
+      const data = JSON.parse(await readFile(this.path, "utf8"));
+      this.entries = data.entries || [];
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.entries = [];
+    }
+    this.replayCounts = {};
+  }
+
+  /**
+   * Write all entries to the cassette file.
+   */
+  async save() {
+    if (!this.path) return;
+    const { writeFile } = await import("node:fs/promises");
+    const data = { version: 1, entries: this.entries };
+    await writeFile(this.path, JSON.stringify(data, null, 2) + "\n");
+  }
+
+  /**
+   * Find the recorded response for a key. Identical requests replay their
+   * recordings in order (e.g. a 429 followed by a retry), repeating the last one.
+   * @param {string} key - Match key.
+   * @returns {object|null} - Recorded entry.
+   */
+  find(key) {
+    const matches = this.entries.filter((entry) => entry.key === key);
+    if (matches.length === 0) return null;
+    const count = this.replayCounts[key] || 0;
+    this.replayCounts[key] = count + 1;
+    return matches[Math.min(count, matches.length - 1)];
+  }
+
+  /**
+   * Drop-in replacement for fetch that records or replays exchanges.
+   * @param {string} url - Request URL.
+   * @param {object} init - fetch options.
+   * @param {function} realFetch - fetch implementation used for live calls.
+   * @returns {Promise<Response>} - Live or replayed response.
+   */
+  async fetch(url, init, realFetch) {
+    const key = Cassette.requestKey(url, init);
+
+    if (this.mode === CASSETTE_MODES.REPLAY) {
+      // Behave like fetch for calls that were already cancelled
+      if (init.signal && init.signal.aborted) {
+        throw init.signal.reason;
+      }
+      const entry = this.find(key);
+      if (entry) {
+        return new Response(entry.response.body, {
+          status: entry.response.status,
+          headers: entry.response.headers,
+        });
+      }
+      if (this.strict) {
+        throw new CassetteMissError(key, this.path);
+      }
+      return realFetch(url, init);
+    }
+
+    // Record mode: make the live call and keep a copy of the response
+    const response = await realFetch(url, init);
+    const body = await response.clone().text();
+    this.entries.push({
+      key,
+      request: { url, body: JSON.parse(key).body },
+      response: {
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        body,
+      },
+    });
+    // Save after every exchange so an interrupted run keeps what it recorded
+    this.saveQueue = this.saveQueue.catch(() => {}).then(() => this.save());
+    await this.saveQueue;
+    return response;
+  }
+}
@@ -33,9 +33,10 @@ export class ChatTitleGenerator {
   /**
    * Generate a chat title using the AI library and the first message.
    * @param {string} firstMessage - The first user message.
-   * @returns {Promise<string>} - The generated chat title.
+   * @param {object} options - Optional { signal, timeoutMs, priority } for the LLM call.
+   * @returns {Promise<string>} - The generated chat title (or a fallback if cancelled).
    */
-  async generateChatTitle(firstMessage) {
+  async generateChatTitle(firstMessage, options = {}) {
     if (!firstMessage || firstMessage.length < 10) {
       return "New Chat";
     }
@@ -49,37 +50,22 @@ export class ChatTitleGenerator {
       )}${firstMessage.length > 200 ? "..." : ""}"
 
 Title:`;
-      const result = await aiOrchestrator.processQuery(titlePrompt);
+      // Titles never need tools, and should wait behind interactive queries
+      const result = await aiOrchestrator.processQuery(titlePrompt, null, {
+        priority: "background",
+        ...options,
+        tools: [],
+      });
       // Debug: Log the result structure
       console.log("Chat title generation result:", result);
-      // Extract title from the response - handle different response formats
       let title = null;
       if (result.success) {
-        // Try different response formats
-        if (result.response) {
-          title = result.response;
-          console.log("Found title in result.response:", title);
-        } else if (
-          result.choices &&
-          result.choices.length > 0 &&
-          result.choices[0].message
-        ) {
-          title = result.choices[0].message.content;
-          console.log(
-            "Found title in result.choices[0].message.content:",
-            title
-          );
-        } else if (result.content) {
-          title = result.content;
-          console.log("Found title in result.content:", title);
-        } else {
-          console.warn(
-            "No title found in result, result keys:",
-            Object.keys(result)
-          );
+        title = result.text;
+        if (!title) {
+          console.warn("No title found in result text");
         }
       } else {
-        console.warn("Result not successful:", result.error || result.details);
+        console.warn("Result not successful:", result.error?.message);
       }
       if (title) {
         const cleanTitle = this.cleanTitle(title.trim());
@@ -130,9 +116,10 @@ Title:`;
   /**
    * Generate a title based on the content of the chat (first few messages).
    * @param {Array} messages - Chat messages (with .user fields).
+   * @param {object} options - Optional { signal, timeoutMs, priority } for the LLM call.
    * @returns {Promise<string>} - Generated or fallback title.
    */
-  async generateTitleFromChatContent(messages) {
+  async generateTitleFromChatContent(messages, options = {}) {
     if (!messages || messages.length === 0) {
       return "New Chat";
     }
@@ -146,23 +133,13 @@ Title:`;
         .join(" ")
         .substring(0, 300);
       const titlePrompt = `Based on this chat conversation, generate a short, descriptive title (3-6 words):\n\n${contextText}\n\nTitle:`;
-      const result = await aiOrchestrator.processQuery(titlePrompt);
-      // Extract title from the response - handle different response formats
-      let title = null;
-      if (result.success) {
-        // Try different response formats
-        if (result.response) {
-          title = result.response;
-        } else if (
-          result.choices &&
-          result.choices.length > 0 &&
-          result.choices[0].message
-        ) {
-          title = result.choices[0].message.content;
-        } else if (result.content) {
-          title = result.content;
-        }
-      }
+      // Titles never need tools, and should wait behind interactive queries
+      const result = await aiOrchestrator.processQuery(titlePrompt, null, {
+        priority: "background",
+        ...options,
+        tools: [],
+      });
+      const title = result.success ? result.text : null;
       if (title) {
         return this.cleanTitle(title.trim());
       } else {
@@ -178,9 +155,10 @@ Title:`;
    * Dynamically update the chat title as the conversation grows.
    * @param {Array} messages - Chat messages.
    * @param {string} currentTitle - Current chat title.
+   * @param {object} options - Optional { signal, timeoutMs, priority } for the LLM call.
    * @returns {Promise<string>} - Updated or current title.
    */
-  async updateChatTitleDynamically(messages, currentTitle) {
+  async updateChatTitleDynamically(messages, currentTitle, options = {}) {
     if (!messages || messages.length < 3) {
       return currentTitle;
     }
@@ -188,7 +166,10 @@ Title:`;
     if (messages.length % 5 === 0) {
       // Update every 5 messages
       try {
-        const newTitle = await this.generateTitleFromChatContent(messages);
+        const newTitle = await this.generateTitleFromChatContent(
+          messages,
+          options
+        );
         return newTitle;
       } catch (error) {
         console.error("Error updating chat title dynamically:", error);
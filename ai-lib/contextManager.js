@@ -3,6 +3,7 @@
 // It is responsible for selecting, optimizing, and formatting chat history for LLM calls.
 
 import { defaultModelManager } from "./models.js";
+import { buildMessageContent, estimateImageTokens } from "./images.js";
 
 // Context selection strategies for different use cases
 export const CONTEXT_STRATEGIES = {
@@ -104,7 +105,7 @@ export class ContextManager {
     // Start from most recent messages and work backwards
     for (let i = contextMessages.length - 1; i >= 0; i--) {
       const message = contextMessages[i];
-      const messageTokens = this.estimateTokenCount(message.content);
+      const messageTokens = this.estimateMessageTokens(message);
 
       if (totalTokens + messageTokens <= maxContextTokens) {
         optimizedMessages.unshift(message);
@@ -113,7 +114,13 @@ export class ContextManager {
         // If we can't fit the full message, truncate it
         const remainingTokens = maxContextTokens - totalTokens;
         const maxChars = remainingTokens * 4;
-        if (maxChars > 100) {
+        // Tool call/result messages can't be cut without breaking their pairing
+        if (
+          maxChars > 100 &&
+          typeof message.content === "string" &&
+          !message.tool_calls &&
+          message.role !== "tool"
+        ) {
           // Only add if we have meaningful space
           const truncatedMessage = {
             ...message,
@@ -129,32 +136,75 @@ export class ContextManager {
 
   /**
    * Roughly estimate token count for a given text (1 token ≈ 4 characters).
+   * Also accepts content parts arrays (text and images).
    */
   estimateTokenCount(text) {
+    if (!text) return 0;
+    if (Array.isArray(text)) return this.estimateContentTokens(text);
     return Math.ceil(text.length / 4);
   }
 
+  /**
+   * Estimate the tokens used by content parts: text parts by length, images
+   * by a fixed per-image estimate (see IMAGE_TOKEN_ESTIMATES).
+   */
+  estimateContentTokens(parts) {
+    return parts.reduce(
+      (sum, part) =>
+        sum +
+        (part.type === "image_url"
+          ? estimateImageTokens(part)
+          : this.estimateTokenCount(part.text)),
+      0
+    );
+  }
+
+  /**
+   * Estimate the tokens used by a whole message, including any tool calls and images.
+   */
+  estimateMessageTokens(message) {
+    let tokens = this.estimateTokenCount(message.content);
+    for (const toolCall of message.tool_calls || []) {
+      tokens += this.estimateTokenCount(
+        toolCall.function.name + toolCall.function.arguments
+      );
+    }
+    return tokens;
+  }
+
   /**
    * Build the messages array for the LLM API, including system prompt, context, and user query.
+   * The user query is a string or content parts (see buildMessageContent in images.js).
+   * Tool turns (assistant messages with tool_calls and "tool" role results) go after the query.
    */
-  buildMessagesArray(systemPrompt, contextMessages, userQuery) {
+  buildMessagesArray(
+    systemPrompt,
+    contextMessages,
+    userQuery,
+    toolMessages = []
+  ) {
     const messages = [
       { role: "system", content: systemPrompt },
       ...contextMessages,
       { role: "user", content: userQuery },
+      ...toolMessages,
     ];
     return messages;
   }
 
   /**
    * Convert chat history (object with .messages array) into context messages for the LLM.
-   * Expects each message to have .user and optionally .response fields.
+   * Expects each message to have .user and optionally .response and .images fields
+   * (images as URLs or content parts; load local files with loadChatHistoryImages first).
    */
   processChatHistory(chatHistory) {
     const contextMessages = [];
     if (chatHistory && chatHistory.messages) {
       for (const msg of chatHistory.messages) {
-        contextMessages.push({ role: "user", content: msg.user });
+        contextMessages.push({
+          role: "user",
+          content: buildMessageContent(msg.user, msg.images),
+        });
         if (msg.response) {
           contextMessages.push({ role: "assistant", content: msg.response });
         }
@@ -168,7 +218,7 @@ export class ContextManager {
    */
   getContextStats(contextMessages, model) {
     const totalTokens = contextMessages.reduce(
-      (sum, msg) => sum + this.estimateTokenCount(msg.content),
+      (sum, msg) => sum + this.estimateMessageTokens(msg),
       0
     );
     const config = this.modelManager.getModelConfig(model);
@@ -0,0 +1,167 @@
+// Errors Library
+// This module defines the typed errors returned (or thrown, with throwOnError) for failed LLM calls.
+// Provider error payloads and HTTP statuses are mapped onto one taxonomy so callers can react by type.
+
+// Error codes, exposed on results as `errorCode` and on errors as `code`
+export const ERROR_CODES = {
+  AUTH: "auth", // Missing, invalid or unauthorized API key
+  RATE_LIMIT: "rate_limit", // Too many requests or tokens (or quota exhausted)
+  CONTEXT_LENGTH_EXCEEDED: "context_length_exceeded", // Prompt too long for the model
+  MODEL_NOT_FOUND: "model_not_found", // Unknown or decommissioned model
+  PROVIDER_UNAVAILABLE: "provider_unavailable", // Outage, overload, network failure
+  INVALID_REQUEST: "invalid_request", // Any other request the provider rejected
+  CANCELLED: "cancelled", // The caller aborted the call
+  TIMEOUT: "timeout", // The call's time limit elapsed
+  VALIDATION: "validation", // The answer did not match the response schema
+  BUDGET_EXCEEDED: "budget_exceeded", // A spend or token budget for the caller is used up
+  UNKNOWN: "unknown", // Anything else (configuration errors, unparseable responses...)
+};
+
+// Base class for all LLM call errors
+export class LLMError extends Error {
+  /**
+   * Construct a new LLMError.
+   * @param {string} message - Human-readable message (the provider's message when available).
+   * @param {object} options - Error details.
+   * @param {string} options.code - One of ERROR_CODES.
+   * @param {number|null} options.status - HTTP status, if the provider responded.
+   * @param {string|null} options.provider - Provider name.
+   * @param {string|null} options.model - Model ID.
+   * @param {*} options.details - Raw error body or other details.
+   * @param {boolean} options.retryable - Whether retrying later may succeed.
+   * @param {Error} options.cause - Underlying error, if any.
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = "LLMError";
+    this.code = options.code || ERROR_CODES.UNKNOWN;
+    this.status = options.status ?? null;
+    this.provider = options.provider || null;
+    this.model = options.model || null;
+    this.details = options.details ?? null;
+    this.retryable = options.retryable ?? false;
+  }
+}
+
+// The API key is missing, invalid or lacks permission (HTTP 401/403)
+export class AuthError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.AUTH });
+    this.name = "AuthError";
+  }
+}
+
+// The provider is throttling requests (HTTP 429); retryAfterMs is set when the provider says when to retry
+export class RateLimitError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, {
+      retryable: true,
+      ...options,
+      code: ERROR_CODES.RATE_LIMIT,
+    });
+    this.name = "RateLimitError";
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+// The prompt (system prompt, context and query) is longer than the model accepts
+export class ContextLengthExceeded extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.CONTEXT_LENGTH_EXCEEDED });
+    this.name = "ContextLengthExceeded";
+  }
+}
+
+// The model does not exist or has been decommissioned
+export class ModelNotFound extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.MODEL_NOT_FOUND });
+    this.name = "ModelNotFound";
+  }
+}
+
+// The provider is down, overloaded or unreachable
+export class ProviderUnavailable extends LLMError {
+  constructor(message, options = {}) {
+    super(message, {
+      retryable: true,
+      ...options,
+      code: ERROR_CODES.PROVIDER_UNAVAILABLE,
+    });
+    this.name = "ProviderUnavailable";
+  }
+}
+
+// The provider rejected the request for another reason (bad parameters, content policy...)
+export class InvalidRequest extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.INVALID_REQUEST });
+    this.name = "InvalidRequest";
+  }
+}
+
+// A user, session or tenant has used up a spend or token budget; details lists the exhausted limits
+export class BudgetExceeded extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.BUDGET_EXCEEDED });
+    this.name = "BudgetExceeded";
+    // When the last exhausted budget period ends, i.e. when queries are allowed again (ISO string)
+    this.resetsAt = options.resetsAt ?? null;
+  }
+}
+
+// Patterns providers use for context-length errors (OpenAI, Groq, Anthropic, Ollama, llama.cpp)
+const CONTEXT_LENGTH_PATTERN =
+  /context_length_exceeded|context length|context window|prompt is too long|too many tokens|exceeds the available context/i;
+
+// Patterns for unknown or decommissioned models
+const MODEL_NOT_FOUND_PATTERN =
+  /model_not_found|model_decommissioned|model.*(does not exist|not found|decommissioned)/i;
+
+/**
+ * Build a typed error from a failed provider response.
+ * @param {number} status - HTTP status.
+ * @param {object} providerError - { message, type, code } from the adapter's parseError.
+ * @param {object} context - { provider, model, details, retryAfterMs }.
+ * @returns {LLMError} - The matching error subclass.
+ */
+export function createProviderError(status, providerError = {}, context = {}) {
+  const message = providerError.message || `HTTP ${status}`;
+  const options = { ...context, status };
+  // Match on the provider's code/type as well as the message
+  const signature = [providerError.code, providerError.type, message]
+    .filter(Boolean)
+    .join(" ");
+
+  if (
+    status === 401 ||
+    status === 403 ||
+    /authentication_error|permission_error|invalid_api_key/i.test(signature)
+  ) {
+    return new AuthError(message, options);
+  }
+  if (status === 429 || /rate_limit/i.test(signature)) {
+    // An exhausted quota will not recover by waiting
+    const retryable = !/insufficient_quota/i.test(signature);
+    return new RateLimitError(message, { ...options, retryable });
+  }
+  if (CONTEXT_LENGTH_PATTERN.test(signature)) {
+    return new ContextLengthExceeded(message, options);
+  }
+  if (status === 404 || MODEL_NOT_FOUND_PATTERN.test(signature)) {
+    return new ModelNotFound(message, options);
+  }
+  if (
+    status === 408 ||
+    status === 409 ||
+    status === 425 ||
+    status >= 500 ||
+    /overloaded_error|api_error/i.test(signature)
+  ) {
+    return new ProviderUnavailable(message, options);
+  }
+  if (status >= 400) {
+    return new InvalidRequest(message, options);
+  }
+  return new LLMError(message, options);
+}
@@ -0,0 +1,146 @@
+// Images Library
+// This module turns image attachments (URLs, base64 data or local files) into message content parts.
+// Content with images uses the OpenAI-style parts format; provider adapters re-encode it as needed.
+
+// Estimated tokens per image: "low" detail is a fixed 85 tokens on OpenAI; other
+// images are budgeted at about a 1092x1092 image on Anthropic ((w * h) / 750)
+export const IMAGE_TOKEN_ESTIMATES = {
+  low: 85,
+  default: 1600,
+};
+
+// MIME types for image files loaded from disk, by extension
+const IMAGE_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+};
+
+/**
+ * Check whether a string is a URL a provider can fetch or decode (http(s) or data:).
+ */
+function isImageUrl(value) {
+  return /^(https?:|data:)/i.test(value);
+}
+
+/**
+ * Build an image content part from an image that needs no file access.
+ * @param {string|object} image - A URL or data URL, { url, detail } or { data, mimeType, detail } (base64 data).
+ * @returns {object} - { type: "image_url", image_url: { url, detail } }.
+ * @throws {Error} - For local file paths, which must be loaded with loadImage first.
+ */
+export function createImagePart(image) {
+  if (image && image.type === "image_url") {
+    return image;
+  }
+  const source = typeof image === "string" ? { url: image } : image || {};
+  let url = source.url;
+  if (!url && source.data) {
+    url = `data:${source.mimeType || "image/png"};base64,${source.data}`;
+  }
+  if (!url || !isImageUrl(url)) {
+    throw new Error(
+      `Unsupported image ${JSON.stringify(
+        source.path || url || image
+      )}: use a URL, base64 data, or loadImage() for local files`
+    );
+  }
+  const part = { type: "image_url", image_url: { url } };
+  if (source.detail) {
+    part.image_url.detail = source.detail;
+  }
+  return part;
+}
+
+/**
+ * Build an image content part, reading local files as base64 data URLs.
+ * @param {string|object} image - A URL, a file path, { url }, { path } or { data, mimeType } (each optionally with detail: "low" | "high" | "auto").
+ * @returns {Promise<object>} - { type: "image_url", image_url: { url, detail } }.
+ */
+export async function loadImage(image) {
+  const source = typeof image === "string" ? { url: image } : image || {};
+  const path =
+    source.path || (source.url && !isImageUrl(source.url) && source.url);
+  if (!path) {
+    return createImagePart(image);
+  }
+  const { readFile } = await import("node:fs/promises");
+  const extension = path.split(".").pop().toLowerCase();
+  const mimeType = source.mimeType || IMAGE_MIME_TYPES[extension];
+  if (!mimeType) {
+    throw new Error(`Unknown image type for ${path}`);
+  }
+  const data = (await readFile(path)).toString("base64");
+  return createImagePart({ data, mimeType, detail: source.detail });
+}
+
+/**
+ * Load a list of images (see loadImage).
+ * @param {Array} images - Image sources.
+ * @returns {Promise<Array<object>>} - Image content parts.
+ */
+export async function loadImages(images = []) {
+  return Promise.all((images || []).map((image) => loadImage(image)));
+}
+
+/**
+ * Load the images attached to chat history turns ({ user, response, images }),
+ * so processChatHistory can build their content synchronously.
+ * @param {object|null} chatHistory - Chat history with a .messages array.
+ * @returns {Promise<object|null>} - A copy of the history with images as content parts.
+ */
+export async function loadChatHistoryImages(chatHistory) {
+  if (!chatHistory || !chatHistory.messages) return chatHistory;
+  if (!chatHistory.messages.some((msg) => msg.images?.length > 0)) {
+    return chatHistory;
+  }
+  return {
+    ...chatHistory,
+    messages: await Promise.all(
+      chatHistory.messages.map(async (msg) =>
+        msg.images?.length > 0
+          ? { ...msg, images: await loadImages(msg.images) }
+          : msg
+      )
+    ),
+  };
+}
+
+/**
+ * Build message content from text and images: plain text stays a string,
+ * text with images becomes a parts array (text first).
+ * @param {string} text - Message text.
+ * @param {Array} images - Image content parts or sources accepted by createImagePart.
+ * @returns {string|Array<object>} - Message content.
+ */
+export function buildMessageContent(text, images = []) {
+  if (!images || images.length === 0) {
+    return text;
+  }
+  const parts = text ? [{ type: "text", text }] : [];
+  return [...parts, ...images.map((image) => createImagePart(image))];
+}
+
+/**
+ * Check whether message content includes images.
+ * @param {string|Array<object>} content - Message content.
+ * @returns {boolean}
+ */
+export function contentHasImages(content) {
+  return (
+    Array.isArray(content) && content.some((part) => part.type === "image_url")
+  );
+}
+
+/**
+ * Estimate the tokens an image part costs.
+ * @param {object} part - Image content part.
+ * @returns {number}
+ */
+export function estimateImageTokens(part) {
+  return part.image_url?.detail === "low"
+    ? IMAGE_TOKEN_ESTIMATES.low
+    : IMAGE_TOKEN_ESTIMATES.default;
+}
@@ -6,12 +6,26 @@ import {
   ModelManager,
   MODEL_REGISTRY,
   MODEL_SELECTION_STRATEGIES,
+  MODEL_REPLACEMENTS,
+  MODEL_ALIASES,
+  MODEL_CONFIG_SCHEMA,
+  MODEL_SCORERS,
+  SPEED_SCORES,
+  QUALITY_SCORES,
+  TASK_CAPABILITIES,
+  DEFAULT_EMBEDDING_MODEL,
+  defineStrategy,
+  validateModelConfig,
   getDefaultModelManager,
 } from "./models.js";
 
 import {
   TaskClassifier,
   TASK_TYPES,
+  DEFAULT_CLASSIFIER_OPTIONS,
+  tokenize,
+  stemWord,
+  DEFAULT_CLASSIFIER_MODEL,
   TextComplexityAnalyzer,
   getDefaultTaskClassifier,
 } from "./taskClassifier.js";
@@ -28,37 +42,177 @@ import {
   getDefaultContextManager,
 } from "./contextManager.js";
 
-import { LLMClient, getDefaultLLMClient } from "./llmClient.js";
+import {
+  LLMClient,
+  DEFAULT_RETRY_OPTIONS,
+  getDefaultLLMClient,
+} from "./llmClient.js";
+
+import {
+  PROVIDER_ADAPTERS,
+  ANTHROPIC_API_VERSION,
+  ANTHROPIC_DEFAULT_MAX_TOKENS,
+  ANTHROPIC_LEADING_USER_TURN,
+  DEFAULT_LOCAL_BASE_URL,
+  createOpenAICompatibleAdapter,
+  anthropicAdapter,
+} from "./providers.js";
+
+import { Cassette, CassetteMissError, CASSETTE_MODES } from "./cassette.js";
+
+import { withTimeout, getAbortType } from "./abort.js";
+
+import { ToolRegistry, getDefaultToolRegistry } from "./tools.js";
+
+import {
+  validateSchema,
+  parseJSONContent,
+  parseStructuredOutput,
+  wrapResponseSchema,
+  WRAPPED_SCHEMA_PROPERTY,
+} from "./schemaValidator.js";
+
+import {
+  IMAGE_TOKEN_ESTIMATES,
+  createImagePart,
+  loadImage,
+  loadImages,
+  loadChatHistoryImages,
+  buildMessageContent,
+  contentHasImages,
+} from "./images.js";
+
+import { RateLimiter, REQUEST_PRIORITIES } from "./rateLimiter.js";
+
+import {
+  AdaptiveRouter,
+  ADAPTIVE_POLICIES,
+  DEFAULT_ADAPTIVE_OPTIONS,
+} from "./adaptiveRouter.js";
+
+import {
+  LocalClassifier,
+  DEFAULT_LOCAL_CLASSIFIER_OPTIONS,
+} from "./localClassifier.js";
+
+import {
+  BudgetManager,
+  MemoryBudgetStore,
+  JSONFileBudgetStore,
+  BUDGET_SCOPES,
+  BUDGET_PERIODS,
+  DEFAULT_BUDGET_OPTIONS,
+} from "./budget.js";
+
+import {
+  ERROR_CODES,
+  LLMError,
+  AuthError,
+  RateLimitError,
+  ContextLengthExceeded,
+  ModelNotFound,
+  ProviderUnavailable,
+  InvalidRequest,
+  BudgetExceeded,
+  createProviderError,
+} from "./errors.js";
 
 import {
   ChatTitleGenerator,
   getDefaultChatTitleGenerator,
 } from "./chatTitleGenerator.js";
 
+// Default cap on model -> tool -> model round trips per query
+export const DEFAULT_MAX_TOOL_ITERATIONS = 5;
+
+// Default number of times the model may retry JSON that fails schema validation
+export const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+
+// Error codes that move a query to the next model in the strategy's fallback chain
+// (unknown-model and context errors are per model, so another model may work).
+// Auth and unknown errors usually mean a misconfiguration that falling back would
+// hide; add them with the orchestrator's fallbackErrorCodes option to opt in.
+export const FALLBACK_ERROR_CODES = [
+  ERROR_CODES.RATE_LIMIT,
+  ERROR_CODES.CONTEXT_LENGTH_EXCEEDED,
+  ERROR_CODES.MODEL_NOT_FOUND,
+  ERROR_CODES.PROVIDER_UNAVAILABLE,
+];
+
 // Main AI orchestrator class: central entry point for all AI operations
 export class AIOrchestrator {
   /**
    * Construct a new AIOrchestrator instance, wiring up all subcomponents.
+   * Components can be passed as e.g. modelManager or customModelManager (the
+   * names createAIOrchestrator uses).
    * @param {object} options - Optional custom components for advanced use.
+   * @param {string} options.modelStrategy - Strategy for the orchestrator's own model manager (default: BALANCED).
+   * @param {object} options.strategies - Scoring strategies for the orchestrator's own model manager: { name: definition }.
+   * @param {object} options.taskTypes - Custom task types for the orchestrator's own task classifier: { taskType: config }.
+   * @param {Array<string>} options.fallbackErrorCodes - Error codes that move a query to the next model (default: FALLBACK_ERROR_CODES).
    */
   constructor(options = {}) {
-    // Model manager handles model selection and config
-    this.modelManager = options.modelManager || getDefaultModelManager();
-    // Task classifier determines the type of user query
-    this.taskClassifier = options.taskClassifier || getDefaultTaskClassifier();
+    // Model manager handles model selection and config. Each orchestrator
+    // gets its own, so models added to one never reach another
+    this.modelManager =
+      options.modelManager ||
+      options.customModelManager ||
+      new ModelManager(options.modelStrategy || "BALANCED", {
+        strategies: options.strategies,
+      });
     // Prompt manager generates system prompts and manages prompt templates
-    this.promptManager = options.promptManager || getDefaultPromptManager();
+    this.promptManager =
+      options.promptManager ||
+      options.customPromptManager ||
+      getDefaultPromptManager();
+    // Components that look models up get their own instances too, bound to
+    // this model manager (the shared defaults are never rebound)
     // Context manager manages chat history and context window
-    this.contextManager = options.contextManager || getDefaultContextManager();
-    // LLM client handles API calls to GroqCloud or other providers
-    this.llmClient = options.llmClient || getDefaultLLMClient();
-    // Chat title generator creates smart chat titles
+    this.contextManager =
+      options.contextManager ||
+      options.customContextManager ||
+      new ContextManager(this.modelManager);
+    // LLM client handles API calls to GroqCloud or other providers; API keys
+    // set with setApiKey() on the default client apply unless overridden
+    this.llmClient =
+      options.llmClient ||
+      options.customLLMClient ||
+      new LLMClient({
+        modelManager: this.modelManager,
+        contextManager: this.contextManager,
+        keySource: getDefaultLLMClient(),
+      });
+    // Task classifier determines the type of user query
+    this.taskClassifier =
+      options.taskClassifier ||
+      options.customTaskClassifier ||
+      new TaskClassifier(this.modelManager, {
+        llmClient: this.llmClient,
+        taskTypes: options.taskTypes,
+      });
+    // Chat title generator creates smart chat titles through this orchestrator,
+    // so titles follow its strategy (e.g. stay local under LOCAL_ONLY)
     this.chatTitleGenerator =
-      options.chatTitleGenerator || getDefaultChatTitleGenerator();
+      options.chatTitleGenerator ||
+      options.customChatTitleGenerator ||
+      new ChatTitleGenerator(this);
+    // Tool registry holds function-calling tools and their handlers. Each
+    // orchestrator gets its own, so tools registered on one are never offered
+    // (or run) by another unless a registry is shared explicitly
+    this.toolRegistry =
+      options.toolRegistry || options.customToolRegistry || new ToolRegistry();
+    // Budget manager enforces spend limits per user, session or tenant (optional)
+    this.budgetManager = options.budgetManager || null;
+    // Failures that move a query down the fallback chain
+    this.fallbackErrorCodes =
+      options.fallbackErrorCodes || FALLBACK_ERROR_CODES;
 
-    // Link model manager to other components for consistent model selection
+    // Link model manager to components passed in, for consistent model selection
     this.taskClassifier.setModelManager(this.modelManager);
     this.contextManager.setModelManager(this.modelManager);
+    this.llmClient.setModelManager(this.modelManager);
+    // Queries the keywords can't settle are classified through the same client
+    this.taskClassifier.setLLMClient(this.llmClient);
 
     // Avoid circular dependency by setting orchestrator in chat title generator
     if (this.chatTitleGenerator && !this.chatTitleGenerator.aiOrchestrator) {
@@ -71,13 +225,871 @@ export class AIOrchestrator {
    * Handles classification, prompt building, context selection, and LLM call.
    * @param {string} queryText - The user's query.
    * @param {object|null} chatHistory - The chat history (see contextManager for format).
-   * @returns {Promise<object>} - The LLM response and metadata.
+   * @param {object} options - Optional settings for this query.
+   * @param {AbortSignal} options.signal - Cancels classification, the LLM call and tool handlers.
+   * @param {number} options.timeoutMs - Time limit for the whole query.
+   * @param {Array<string>} options.tools - Registered tools to offer the model (default: all; [] for none).
+   * @param {string} options.toolChoice - "auto" (default), "required" or "none".
+   * @param {number} options.maxToolIterations - Max tool round trips before forcing a final answer.
+   * @param {object} options.responseSchema - JSON Schema the answer must match; the parsed answer is returned as `data`.
+   * @param {number} options.maxRepairAttempts - Re-prompts allowed when the answer fails validation.
+   * @param {boolean} options.throwOnError - Throw the result's LLMError instead of returning a failed result.
+   * @param {string} options.priority - "interactive", "normal" (default) or "background"; orders requests queued by the rate limiter.
+   * @param {Array} options.images - Images to attach to the query (URLs, file paths, { url|path|data, mimeType, detail }); routes to a "vision" model.
+   * @param {boolean} options.dryRun - Classify and build the request, but return its estimated usage and cost instead of calling the LLM.
+   * @param {object} options.identity - { userId, sessionId, tenantId } whose budgets the query is checked against and charged to.
+   * @returns {Promise<object>} - The LLM response and metadata; cost covers every LLM call the query made.
+   * @throws {LLMError} - Only with options.throwOnError; error.result holds the failed result.
    */
-  async processQuery(queryText, chatHistory = null) {
+  async processQuery(queryText, chatHistory = null, options = {}) {
     console.log("AI Orchestrator processing query:", queryText);
 
+    // One signal covers classification and the LLM call
+    const { signal, clear } = withTimeout(options.signal, options.timeoutMs);
+    let reservation = null;
+    try {
+      // Refuse up front if the caller's budget is used up
+      const budget = await this.checkBudget(options.identity);
+      if (budget && !budget.allowed) {
+        const refused = this.createBudgetExceededResult(budget);
+        if (options.throwOnError) {
+          throw this.toThrowable(refused);
+        }
+        return refused;
+      }
+
+      // Every LLM call made for the query (classification included), for cost accounting
+      const calls = [];
+      // JSON modes only return objects, so other schemas are asked for wrapped in one
+      const structured =
+        options.responseSchema && wrapResponseSchema(options.responseSchema);
+
+      // Steps 1-4: classify, build prompt and context, assemble messages
+      let prepared;
+      try {
+        prepared = await this.prepareQuery(queryText, chatHistory, {
+          signal,
+          responseSchema: structured?.schema,
+          priority: options.priority,
+          images: options.images,
+          calls,
+        });
+      } catch (error) {
+        const failed = await this.createPreparationErrorResult(
+          error,
+          signal,
+          calls,
+          options.identity,
+          budget
+        );
+        if (options.throwOnError) {
+          throw this.toThrowable(failed);
+        }
+        return failed;
+      }
+
+      // Step 5: Call the LLM (running any tools it asks for), moving down
+      // the fallback chain if the model fails
+      const chain = this.getQueryChain(prepared, budget);
+      if (chain[0] !== prepared.llmParams.model) {
+        prepared = this.prepareForModel(prepared, chain[0]);
+      }
+      if (options.dryRun) {
+        const dryRun = this.createDryRunResult(
+          prepared,
+          this.getToolsForQuery(chain[0], options)
+        );
+        // Classifying the query may already have called a model
+        dryRun.cost = this.sumCallCosts(calls);
+        dryRun.metadata.calls = calls;
+        if (budget) {
+          await this.recordSpend(options.identity, calls);
+          dryRun.metadata.budget = this.buildBudgetMetadata(budget);
+        }
+        return dryRun;
+      }
+
+      // Hold the answer's estimated cost so concurrent queries see it
+      if (budget) {
+        const reserved = await this.reserveBudget(
+          options.identity,
+          prepared,
+          this.getToolsForQuery(chain[0], options)
+        );
+        if (!reserved.allowed) {
+          const refused = this.createBudgetExceededResult(reserved);
+          await this.recordSpend(options.identity, calls);
+          refused.cost = this.sumCallCosts(calls);
+          refused.metadata.calls = calls;
+          if (options.throwOnError) {
+            throw this.toThrowable(refused);
+          }
+          return refused;
+        }
+        reservation = reserved.reservation;
+      }
+      const skippedModels = [];
+      let answered, tools, result, toolCalls, toolMessages;
+      for (let i = 0; i < chain.length; i++) {
+        answered =
+          i === 0 ? prepared : this.prepareForModel(prepared, chain[i]);
+        tools = this.getToolsForQuery(chain[i], options);
+        ({ result, toolCalls, toolMessages } =
+          tools.length > 0
+            ? await this.runToolLoop(answered, tools, options, calls)
+            : {
+                result: await this.callModel(answered.llmParams, calls),
+                toolCalls: [],
+                toolMessages: [],
+              });
+        if (i === chain.length - 1 || !this.shouldFallback(result)) {
+          break;
+        }
+        skippedModels.push(
+          this.recordSkippedModel(chain[i], chain[i + 1], result)
+        );
+      }
+
+      // Step 6: Parse and validate structured output, re-prompting on errors
+      if (structured) {
+        result = await this.enforceResponseSchema(
+          answered,
+          result,
+          {
+            ...options,
+            responseSchema: structured.schema,
+            tools,
+            toolMessages,
+          },
+          calls
+        );
+        if (structured.wrapped && result.data) {
+          result.data = result.data[WRAPPED_SCHEMA_PROPERTY];
+        }
+      }
+
+      for (const call of calls) {
+        if (call.purpose === "answer") {
+          this.recordRoutingOutcome(prepared.classification, call);
+        }
+      }
+
+      // Attach detailed metadata for debugging and analysis
+      result.cost = this.sumCallCosts(calls);
+      result.metadata = this.buildMetadata(answered, result);
+      result.metadata.skippedModels = skippedModels;
+      result.metadata.calls = calls;
+      if (budget) {
+        await this.recordSpend(options.identity, calls, reservation);
+        result.metadata.budget = this.buildBudgetMetadata(budget);
+      }
+      if (tools.length > 0) {
+        result.metadata.toolCalls = toolCalls;
+      }
+      if (options.responseSchema) {
+        result.metadata.repairAttempts = result.repairAttempts;
+        delete result.repairAttempts;
+      }
+
+      if (options.throwOnError && !result.success) {
+        throw this.toThrowable(result);
+      }
+      return result;
+    } finally {
+      clear();
+      // Nothing to settle unless the query threw before recording its spend
+      this.budgetManager?.release(reservation);
+    }
+  }
+
+  /**
+   * Call the LLM and log the call's model, usage and cost.
+   * @param {object} params - LLM call parameters.
+   * @param {Array<object>} calls - The query's call log ({ purpose, model, provider, success, errorCode, latencyMs, usage, cost,
+   *   estimatedUsage }, where estimatedUsage is set for answers whose provider reported no usage).
+   * @param {string} purpose - "answer" (default) or "classification".
+   * @returns {Promise<object>} - The LLM client result.
+   */
+  async callModel(params, calls, purpose = "answer") {
+    const result = await this.llmClient.callLLM(params);
+    this.logCall(params, result, calls, purpose);
+    return result;
+  }
+
+  /**
+   * Add an LLM call's model, usage and cost to a query's call log (see callModel).
+   * @param {object} params - LLM call parameters.
+   * @param {object} result - The LLM client result (or stream done event).
+   * @param {Array<object>} calls - The query's call log.
+   * @param {string} purpose - "answer" (default) or "classification".
+   * @returns {object} - The call log entry.
+   */
+  logCall(params, result, calls, purpose = "answer") {
+    const call = {
+      purpose,
+      model: params.model,
+      provider: this.modelManager.getModelConfig(params.model).provider,
+      success: result.success,
+      errorCode: result.errorCode || null,
+      latencyMs: result.latencyMs ?? null,
+      usage: result.usage || null,
+      cost: result.cost || null,
+      estimatedUsage: this.estimateMissingUsage(params.messages, result),
+    };
+    calls.push(call);
+    return call;
+  }
+
+  /**
+   * Estimate the usage of an answer whose provider reported none (common when
+   * streaming, and always for a stream abandoned part way), so budgets still
+   * charge it: the prompt's tokens plus the answer's.
+   * @param {Array<object>} messages - The messages sent.
+   * @param {object} result - The LLM client result (or stream done event).
+   * @returns {object|null} - { promptTokens, completionTokens }, or null if the
+   *   result has usage or produced no answer.
+   */
+  estimateMissingUsage(messages, result) {
+    if (result.usage || !(result.success || result.text)) {
+      return null;
+    }
+    return {
+      promptTokens: messages.reduce(
+        (sum, message) =>
+          sum + this.contextManager.estimateMessageTokens(message),
+        0
+      ),
+      completionTokens: this.contextManager.estimateTokenCount(result.text),
+    };
+  }
+
+  /**
+   * Report an LLM call's outcome to the model manager, which learns from it
+   * under the ADAPTIVE strategy. Calls the caller cancelled say nothing about
+   * the model and are skipped.
+   * @param {object} classification - The query's classification (task, complexity).
+   * @param {object} call - { model, success, errorCode, latencyMs, cost }.
+   */
+  recordRoutingOutcome(classification, call) {
+    if (call.errorCode === ERROR_CODES.CANCELLED) {
+      return;
+    }
+    this.modelManager.recordOutcome({
+      task: classification.task,
+      complexity: classification.complexity,
+      model: call.model,
+      success: call.success,
+      latencyMs: call.latencyMs,
+      cost: call.cost?.total || 0,
+    });
+  }
+
+  /**
+   * Record a quality signal (e.g. a user's thumbs up or down) for a query's
+   * answer. The ADAPTIVE strategy favors models with better feedback for the
+   * same task and complexity.
+   * @param {object} result - The processQuery result (or processQueryStream done event).
+   * @param {number|boolean} score - Quality from 0 (bad) to 1 (good); true/false count as 1/0.
+   */
+  recordFeedback(result, score) {
+    const { classification, answeredBy } = result.metadata || {};
+    if (!classification || !answeredBy) {
+      throw new Error("recordFeedback needs a query result with metadata");
+    }
+    this.modelManager.getAdaptiveRouter().recordFeedback(
+      {
+        task: classification.task,
+        complexity: classification.complexity,
+        model: answeredBy,
+      },
+      score
+    );
+  }
+
+  /**
+   * Add up the cost of a query's LLM calls.
+   * @param {Array<object>} calls - The query's call log.
+   * @returns {object|null} - { input, cachedInput, output, total, currency }, or null if no call reported usage.
+   */
+  sumCallCosts(calls) {
+    const costs = calls.map((call) => call.cost).filter(Boolean);
+    if (costs.length === 0) {
+      return null;
+    }
+    const total = { input: 0, cachedInput: 0, output: 0, total: 0 };
+    for (const cost of costs) {
+      for (const key of Object.keys(total)) {
+        total[key] += cost[key];
+      }
+    }
+    return { ...total, currency: "USD" };
+  }
+
+  /**
+   * Build the result of a dry run: the request that would be sent, with its
+   * estimated usage (prompt tokens plus the full maxTokens budget) and cost.
+   * @param {object} prepared - The result of prepareQuery.
+   * @param {Array<object>} tools - Tool definitions that would be sent.
+   * @returns {object} - Dry run result with estimatedUsage, estimatedCost and metadata.
+   */
+  createDryRunResult(prepared, tools = []) {
+    const { model, messages } = prepared.llmParams;
+    return {
+      success: true,
+      dryRun: true,
+      text: "",
+      model,
+      provider: this.modelManager.getModelConfig(model).provider,
+      messages,
+      tools,
+      usage: null,
+      cost: null,
+      ...this.estimateRequest(prepared, tools),
+      metadata: this.buildMetadata(prepared),
+    };
+  }
+
+  /**
+   * Estimate the usage and cost of a prepared request: its prompt tokens plus
+   * the full maxTokens budget.
+   * @param {object} prepared - The result of prepareQuery.
+   * @param {Array<object>} tools - Tool definitions that would be sent.
+   * @returns {object} - { estimatedUsage, estimatedCost }.
+   */
+  estimateRequest(prepared, tools = []) {
+    const { model, messages, maxTokens } = prepared.llmParams;
+    const promptTokens =
+      messages.reduce(
+        (sum, message) =>
+          sum + this.contextManager.estimateMessageTokens(message),
+        0
+      ) +
+      (tools.length > 0
+        ? this.contextManager.estimateTokenCount(JSON.stringify(tools))
+        : 0);
+    const estimatedUsage = { promptTokens, completionTokens: maxTokens };
+    return {
+      estimatedUsage,
+      estimatedCost: this.modelManager.calculateCost(model, estimatedUsage),
+    };
+  }
+
+  /**
+   * Check an identity's budgets before a query.
+   * @param {object|undefined} identity - { userId, sessionId, tenantId } (any subset).
+   * @returns {Promise<object|null>} - The BudgetManager check result, or null without a budget manager or identity.
+   */
+  async checkBudget(identity) {
+    if (!this.budgetManager || !identity) {
+      return null;
+    }
+    return this.budgetManager.check(identity);
+  }
+
+  /**
+   * Build the failed result for a query refused because a budget is used up.
+   * @param {object} budget - The BudgetManager check result.
+   * @returns {object} - Failed result with a BudgetExceeded error.
+   */
+  createBudgetExceededResult(budget) {
+    return {
+      success: false,
+      error: budget.error,
+      errorCode: budget.error.code,
+      details: budget.exceeded,
+      metadata: { budget: this.buildBudgetMetadata(budget) },
+    };
+  }
+
+  /**
+   * Build the failed result for a query whose preparation (classification,
+   * image loading, context building) threw, charging any calls already made.
+   * @param {Error} error - The thrown error.
+   * @param {AbortSignal} signal - The query's signal (if aborted, the result is a cancellation or timeout).
+   * @param {Array<object>} calls - The query's call log.
+   * @param {object} identity - The identity charged for the calls, if any.
+   * @param {object|null} budget - The BudgetManager check result.
+   * @returns {Promise<object>} - Failed result with a typed error.
+   * @throws {CassetteMissError} - A replay without a recording is a test setup problem, not a failed query.
+   */
+  async createPreparationErrorResult(error, signal, calls, identity, budget) {
+    if (error instanceof CassetteMissError) {
+      throw error;
+    }
+    const abortType = getAbortType(signal);
+    let typed;
+    if (abortType) {
+      typed = new LLMError(
+        abortType === "timeout" ? "Query timed out" : "Query cancelled",
+        {
+          code:
+            abortType === "timeout"
+              ? ERROR_CODES.TIMEOUT
+              : ERROR_CODES.CANCELLED,
+          cause: signal.reason,
+        }
+      );
+    } else {
+      typed =
+        error instanceof LLMError
+          ? error
+          : new LLMError(error.message, {
+              code: ERROR_CODES.UNKNOWN,
+              cause: error,
+            });
+    }
+    const failed = {
+      success: false,
+      error: typed,
+      errorCode: typed.code,
+      details: error.message,
+      ...(abortType ? { errorType: abortType } : {}),
+      cost: this.sumCallCosts(calls),
+      metadata: { calls },
+    };
+    if (budget) {
+      await this.recordSpend(identity, calls);
+      failed.metadata.budget = this.buildBudgetMetadata(budget);
+    }
+    return failed;
+  }
+
+  /**
+   * Get the fallback chain for a prepared query. When a budget is nearly used
+   * up, the chain comes from the budget's downgrade strategy instead (keeping
+   * only models the current strategy allows).
+   * @param {object} prepared - The result of prepareQuery.
+   * @param {object|null} budget - The BudgetManager check result.
+   * @returns {Array<string>} - Model IDs in the order they should be tried.
+   */
+  getQueryChain(prepared, budget = null) {
+    const { complexity, model, task } = prepared.classification;
+    const options = { capabilities: prepared.requiredCapabilities, task };
+    if (budget?.downgrade) {
+      const downgraded = this.modelManager
+        .withStrategy(budget.strategy)
+        .getFallbackChain(complexity, null, options)
+        .filter((modelId) => this.modelManager.isModelAllowed(modelId));
+      if (downgraded.length > 0) {
+        console.log(
+          `Budget nearly used up; routing with ${budget.strategy} strategy`
+        );
+        return downgraded;
+      }
+    }
+    return this.modelManager.getFallbackChain(complexity, model, options);
+  }
+
+  /**
+   * Summarize a budget check for result metadata.
+   * @param {object} budget - The BudgetManager check result.
+   * @returns {object} - { downgraded, strategy, budgets } (usage as of before the query).
+   */
+  buildBudgetMetadata(budget) {
+    return {
+      downgraded: budget.downgrade,
+      strategy: budget.strategy,
+      budgets: budget.budgets,
+    };
+  }
+
+  /**
+   * Charge a query's cost and tokens to an identity's budgets. Calls without
+   * reported usage are charged their estimated usage at the model's prices.
+   * @param {object} identity - { userId, sessionId, tenantId } (any subset).
+   * @param {Array<object>} calls - The query's LLM calls ({ model, usage, cost, estimatedUsage }).
+   * @param {object|null} reservation - The query's budget reservation, settled with the spend.
+   * @returns {Promise<void>}
+   */
+  async recordSpend(identity, calls, reservation = null) {
+    let cost = 0;
+    let tokens = 0;
+    for (const call of calls) {
+      const usage = call.usage || call.estimatedUsage;
+      if (!usage) continue;
+      tokens += (usage.promptTokens || 0) + (usage.completionTokens || 0);
+      cost += (call.cost || this.modelManager.calculateCost(call.model, usage))
+        .total;
+    }
+    if (reservation) {
+      await this.budgetManager.settle(reservation, { cost, tokens });
+    } else {
+      await this.budgetManager.record(identity, { cost, tokens });
+    }
+  }
+
+  /**
+   * Check an identity's budgets again just before the answer call, holding the
+   * call's estimated usage (see estimateRequest) until the spend is recorded.
+   * @param {object} identity - { userId, sessionId, tenantId } (any subset).
+   * @param {object} prepared - The prepared query, for its first model.
+   * @param {Array<object>} tools - Tool definitions that will be sent.
+   * @returns {Promise<object>} - The BudgetManager check result, with its reservation if allowed.
+   */
+  async reserveBudget(identity, prepared, tools = []) {
+    const { estimatedUsage, estimatedCost } = this.estimateRequest(
+      prepared,
+      tools
+    );
+    return this.budgetManager.check(identity, {
+      reserve: {
+        cost: estimatedCost.total,
+        tokens: estimatedUsage.promptTokens + estimatedUsage.completionTokens,
+      },
+    });
+  }
+
+  /**
+   * Get the error to throw for a failed result in throwOnError mode, with
+   * the result (including metadata) attached as error.result.
+   * @param {object} result - The failed result.
+   * @returns {LLMError}
+   */
+  toThrowable(result) {
+    const error =
+      result.error instanceof LLMError
+        ? result.error
+        : new LLMError(String(result.error), { details: result.details });
+    error.result = result;
+    return error;
+  }
+
+  /**
+   * Decide whether a failed LLM result should be retried on the next model in
+   * the fallback chain: only errors in fallbackErrorCodes are (by default, not
+   * auth, unknown, cancellation, timeout or InvalidRequest errors).
+   * @param {object} result - The LLM client result.
+   * @returns {boolean}
+   */
+  shouldFallback(result) {
+    if (result.success) {
+      return false;
+    }
+    return this.fallbackErrorCodes.includes(result.errorCode);
+  }
+
+  /**
+   * Log a model that failed and build its metadata.skippedModels entry.
+   * @param {string} model - The model that failed.
+   * @param {string} nextModel - The model that will be tried next.
+   * @param {object} result - The failed LLM result.
+   * @returns {object} - { model, provider, status, errorCode, reason }.
+   */
+  recordSkippedModel(model, nextModel, result) {
+    const reason = result.error?.message || result.details;
+    console.warn(
+      `Model ${model} failed (${result.errorCode}: ${reason}); falling back to ${nextModel}`
+    );
+    return {
+      model,
+      provider: this.modelManager.getModelConfig(model).provider,
+      status: result.status || null,
+      errorCode: result.errorCode,
+      reason,
+    };
+  }
+
+  /**
+   * Resolve which tool definitions to send for a query.
+   * Tools are skipped (with a warning) for models without the "tools" capability.
+   * @param {string} model - The model chosen for the query.
+   * @param {object} options - processQuery options (uses options.tools).
+   * @returns {Array<object>} - Tool definitions for the LLM client.
+   */
+  getToolsForQuery(model, options = {}) {
+    const names =
+      options.tools === undefined
+        ? this.toolRegistry.getToolNames()
+        : options.tools;
+    if (!names || names.length === 0) {
+      return [];
+    }
+    if (!this.modelManager.modelSupportsCapability(model, "tools")) {
+      console.warn(
+        `Model ${model} does not support tool calling; sending query without tools`
+      );
+      return [];
+    }
+    return this.toolRegistry.getToolDefinitions(names);
+  }
+
+  /**
+   * Call the LLM with tools, execute the tool calls it makes, append the
+   * results and call again until it gives a final answer or the iteration
+   * cap is reached (the last call then asks for an answer without tools).
+   * @param {object} prepared - The result of prepareQuery.
+   * @param {Array<object>} tools - Tool definitions.
+   * @param {object} options - processQuery options (toolChoice, maxToolIterations).
+   * @param {Array<object>} calls - The query's LLM call log (see callModel).
+   * @returns {Promise<object>} - { result, toolCalls, toolMessages } - final LLM result, a log of executed calls and the tool conversation.
+   */
+  async runToolLoop(prepared, tools, options = {}, calls = []) {
+    const maxIterations =
+      options.maxToolIterations ?? DEFAULT_MAX_TOOL_ITERATIONS;
+    const toolMessages = [];
+    const toolCalls = [];
+
+    for (let iteration = 1; ; iteration++) {
+      const capped = iteration > maxIterations;
+      const messages = this.contextManager.buildMessagesArray(
+        prepared.systemPrompt,
+        prepared.optimizedContext,
+        prepared.queryContent,
+        toolMessages
+      );
+      const result = await this.callModel(
+        {
+          ...prepared.llmParams,
+          messages,
+          tools,
+          toolChoice: capped ? "none" : options.toolChoice,
+        },
+        calls
+      );
+
+      if (capped || !result.success || !result.toolCalls) {
+        return { result, toolCalls, toolMessages };
+      }
+
+      // Keep the model's tool request, then answer each call in order
+      toolMessages.push({
+        role: "assistant",
+        content: result.text || null,
+        tool_calls: result.toolCalls,
+      });
+      for (const toolCall of result.toolCalls) {
+        const { message: toolMessage, record } =
+          await this.toolRegistry.executeToolCall(toolCall, {
+            signal: prepared.llmParams.signal,
+          });
+        toolMessages.push(toolMessage);
+        toolCalls.push({ iteration, ...record });
+      }
+    }
+  }
+
+  /**
+   * Parse the model's answer as JSON and validate it against the response
+   * schema. Invalid answers are sent back with the validation errors so the
+   * model can correct them, up to maxRepairAttempts times.
+   * @param {object} prepared - The result of prepareQuery.
+   * @param {object} result - The LLM result to validate.
+   * @param {object} options - processQuery options plus the tools and toolMessages used.
+   * @param {Array<object>} calls - The query's LLM call log (see callModel).
+   * @returns {Promise<object>} - The result with `data`, or a failed result with `validationErrors`.
+   */
+  async enforceResponseSchema(prepared, result, options = {}, calls = []) {
+    const maxRepairs = options.maxRepairAttempts ?? DEFAULT_MAX_REPAIR_ATTEMPTS;
+    const tools = options.tools || [];
+    const history = [...(options.toolMessages || [])];
+
+    for (let repair = 0; ; repair++) {
+      if (!result.success) {
+        return { ...result, data: null, repairAttempts: repair };
+      }
+      const { data, errors } = parseStructuredOutput(
+        result.text,
+        options.responseSchema
+      );
+      if (errors.length === 0) {
+        return { ...result, data, repairAttempts: repair };
+      }
+      if (repair >= maxRepairs) {
+        console.warn("Response did not match the JSON Schema:", errors);
+        return {
+          ...result,
+          success: false,
+          error: new LLMError("Response did not match the JSON Schema", {
+            code: ERROR_CODES.VALIDATION,
+            provider: result.provider,
+            model: result.model,
+            details: errors,
+          }),
+          errorCode: ERROR_CODES.VALIDATION,
+          errorType: "validation",
+          validationErrors: errors,
+          data: null,
+          repairAttempts: repair,
+        };
+      }
+
+      // Show the model its answer and what was wrong with it
+      history.push(
+        { role: "assistant", content: result.text },
+        {
+          role: "user",
+          content: this.promptManager.getSchemaRepairPrompt(errors),
+        }
+      );
+      const messages = this.contextManager.buildMessagesArray(
+        prepared.systemPrompt,
+        prepared.optimizedContext,
+        prepared.queryContent,
+        history
+      );
+      result = await this.callModel(
+        {
+          ...prepared.llmParams,
+          messages,
+          // Keep tool definitions for providers that require them alongside tool history
+          ...(tools.length > 0 ? { tools, toolChoice: "none" } : {}),
+        },
+        calls
+      );
+    }
+  }
+
+  /**
+   * Process a user query and stream the response as it is generated.
+   * Yields { type: "delta", content } events, then a final { type: "done" }
+   * event carrying the full response and the same metadata as processQuery.
+   * @param {string} queryText - The user's query.
+   * @param {object|null} chatHistory - The chat history (see contextManager for format).
+   * @param {object} options - Optional { signal, timeoutMs } to cancel or bound the stream, throwOnError, priority, images and identity.
+   * @returns {AsyncGenerator<object>} - Stream of delta events and a final done event.
+   */
+  async *processQueryStream(queryText, chatHistory = null, options = {}) {
+    console.log("AI Orchestrator streaming query:", queryText);
+
+    const { signal, clear } = withTimeout(options.signal, options.timeoutMs);
+    // Every LLM call made for the query (classification included), for cost accounting
+    const calls = [];
+    let reservation = null;
+    // The answer being streamed, until its done event is logged
+    let streaming = null;
+    try {
+      const budget = await this.checkBudget(options.identity);
+      if (budget && !budget.allowed) {
+        const refused = this.createBudgetExceededResult(budget);
+        if (options.throwOnError) {
+          throw this.toThrowable(refused);
+        }
+        yield { type: "done", ...refused };
+        return;
+      }
+
+      let prepared;
+      try {
+        prepared = await this.prepareQuery(queryText, chatHistory, {
+          signal,
+          priority: options.priority,
+          images: options.images,
+          calls,
+        });
+      } catch (error) {
+        const failed = await this.createPreparationErrorResult(
+          error,
+          signal,
+          calls,
+          options.identity,
+          budget
+        );
+        if (options.throwOnError) {
+          throw this.toThrowable(failed);
+        }
+        yield { type: "done", ...failed };
+        return;
+      }
+
+      // Fall back to the next model only if nothing has been streamed yet
+      const chain = this.getQueryChain(prepared, budget);
+      if (chain[0] !== prepared.llmParams.model) {
+        prepared = this.prepareForModel(prepared, chain[0]);
+      }
+      if (budget) {
+        const reserved = await this.reserveBudget(options.identity, prepared);
+        if (!reserved.allowed) {
+          const refused = this.createBudgetExceededResult(reserved);
+          await this.recordSpend(options.identity, calls);
+          refused.cost = this.sumCallCosts(calls);
+          refused.metadata.calls = calls;
+          if (options.throwOnError) {
+            throw this.toThrowable(refused);
+          }
+          yield { type: "done", ...refused };
+          return;
+        }
+        reservation = reserved.reservation;
+      }
+      const skippedModels = [];
+      for (let i = 0; i < chain.length; i++) {
+        const answered =
+          i === 0 ? prepared : this.prepareForModel(prepared, chain[i]);
+        let streamed = false;
+        streaming = { params: answered.llmParams, text: "" };
+        for await (const event of this.llmClient.streamLLM(
+          answered.llmParams
+        )) {
+          if (event.type !== "done") {
+            streamed = true;
+            streaming.text += event.content || "";
+            yield event;
+            continue;
+          }
+          streaming = null;
+          this.recordRoutingOutcome(
+            prepared.classification,
+            this.logCall(answered.llmParams, event, calls)
+          );
+          if (!streamed && i < chain.length - 1 && this.shouldFallback(event)) {
+            skippedModels.push(
+              this.recordSkippedModel(chain[i], chain[i + 1], event)
+            );
+            break;
+          }
+          event.cost = this.sumCallCosts(calls);
+          event.metadata = this.buildMetadata(answered, event);
+          event.metadata.skippedModels = skippedModels;
+          event.metadata.calls = calls;
+          if (budget) {
+            await this.recordSpend(options.identity, calls, reservation);
+            event.metadata.budget = this.buildBudgetMetadata(budget);
+          }
+          if (options.throwOnError && !event.success) {
+            throw this.toThrowable(event);
+          }
+          yield event;
+          return;
+        }
+      }
+    } finally {
+      clear();
+      // A consumer that stops reading early (break) or a stream that throws
+      // still pays for the calls made and the answer generated so far
+      if (reservation && !reservation.settled) {
+        if (streaming) {
+          this.logCall(
+            streaming.params,
+            {
+              success: false,
+              errorCode: ERROR_CODES.CANCELLED,
+              text: streaming.text,
+            },
+            calls
+          );
+        }
+        await this.recordSpend(options.identity, calls, reservation);
+      }
+    }
+  }
+
+  /**
+   * Classify a query and build everything needed for the LLM call.
+   * Shared by processQuery and processQueryStream.
+   * @param {string} queryText - The user's query.
+   * @param {object|null} chatHistory - The chat history (see contextManager for format).
+   * @param {object} options - Optional { signal, responseSchema, priority, images } for the classifier and LLM call,
+   *   and the query's call log (calls), which gets any classifier model call.
+   * @returns {Promise<object>} - Classification, prompt info, context and LLM params.
+   */
+  async prepareQuery(queryText, chatHistory = null, options = {}) {
     // Step 1: Classify the query to determine task type and model
-    const classification = await this.taskClassifier.classifyQuery(queryText);
+    const calls = options.calls || [];
+    const classification = await this.taskClassifier.classifyQuery(queryText, {
+      signal: options.signal,
+      priority: options.priority,
+      callLLM: (params) => this.callModel(params, calls, "classification"),
+    });
     console.log("Final query classification:", classification);
 
     // Step 2: Get prompt and LLM parameters based on classification
@@ -90,55 +1102,135 @@ export class AIOrchestrator {
       classification.complexity,
       0
     );
-    const systemPrompt = this.promptManager.getSystemPrompt(
+    let systemPrompt = this.promptManager.getSystemPrompt(
       classification.task,
       maxTokens,
       classification.complexity
     );
+    if (options.responseSchema) {
+      systemPrompt +=
+        "\n\n" +
+        this.promptManager.getStructuredOutputPrompt(options.responseSchema);
+    }
 
     // Step 3: Process chat history into context messages
     // (contextManager expects chatHistory to be an object with a .messages array)
-    const contextMessages = this.contextManager.processChatHistory(chatHistory);
+    const contextMessages = this.contextManager.processChatHistory(
+      await loadChatHistoryImages(chatHistory)
+    );
+
+    // Images in the query or history need a vision-capable model
+    const queryContent = buildMessageContent(
+      queryText,
+      await loadImages(options.images)
+    );
+    const hasImages =
+      contentHasImages(queryContent) ||
+      contextMessages.some((message) => contentHasImages(message.content));
+    const requiredCapabilities = hasImages ? ["vision"] : [];
+    const model = this.modelManager.getFallbackChain(
+      classification.complexity,
+      classification.model,
+      { capabilities: requiredCapabilities, task: classification.task }
+    )[0];
+    if (
+      hasImages &&
+      !this.modelManager.modelSupportsCapability(model, "vision")
+    ) {
+      console.warn(
+        `No available model supports images; sending them to ${model} anyway`
+      );
+    }
+
+    // Step 4: Fit the context to the chosen model and build the messages array
+    return this.prepareForModel(
+      {
+        queryText,
+        queryContent,
+        requiredCapabilities,
+        classification,
+        maxTokens,
+        temperature,
+        systemPrompt,
+        contextMessages,
+        llmParams: {
+          maxTokens,
+          temperature,
+          task: classification.task,
+          complexity: classification.complexity,
+          reason: classification.reason,
+          jsonMode: Boolean(options.responseSchema),
+          signal: options.signal,
+          priority: options.priority,
+        },
+      },
+      model
+    );
+  }
+
+  /**
+   * Select and optimize the context for a model and build its LLM params.
+   * Used for the classified model and again for each fallback model, whose
+   * context window may differ.
+   * @param {object} prepared - The result of prepareQuery.
+   * @param {string} model - Model ID to prepare the call for.
+   * @returns {object} - A copy of prepared targeting the given model.
+   */
+  prepareForModel(prepared, model) {
     // Select the most relevant context messages for the model
-    const modelConfig = this.modelManager.getModelConfig(classification.model);
+    const modelConfig = this.modelManager.getModelConfig(model);
     const selectedContext = this.contextManager.selectContextMessages(
-      contextMessages,
-      classification.model,
+      prepared.contextMessages,
+      model,
       modelConfig.contextConfig.maxContextMessages
     );
     // Optimize context to fit within token limits
     const optimizedContext = this.contextManager.optimizeContext(
       selectedContext,
-      classification.model,
-      maxTokens
+      model,
+      prepared.maxTokens
     );
-
-    // Step 4: Build the messages array for the LLM API
     const messages = this.contextManager.buildMessagesArray(
-      systemPrompt,
+      prepared.systemPrompt,
       optimizedContext,
-      queryText
+      prepared.queryContent
     );
 
-    // Step 5: Call the LLM with all parameters
-    const result = await this.llmClient.callLLM({
-      model: classification.model,
-      messages,
+    return {
+      ...prepared,
+      modelConfig,
+      optimizedContext,
+      llmParams: {
+        ...prepared.llmParams,
+        model,
+        messages,
+        contextMessages: optimizedContext,
+      },
+    };
+  }
+
+  /**
+   * Build the metadata block attached to query results.
+   * @param {object} prepared - The result of prepareQuery.
+   * @param {object} result - The LLM client result (for usage and retry attempts).
+   * @returns {object} - Metadata for debugging and analysis.
+   */
+  buildMetadata(prepared, result = {}) {
+    const {
+      classification,
+      modelConfig,
       maxTokens,
       temperature,
-      task: classification.task,
-      complexity: classification.complexity,
-      reason: classification.reason,
-      contextMessages: optimizedContext,
-    });
-
-    // Attach detailed metadata for debugging and analysis
-    result.metadata = {
+      systemPrompt,
+    } = prepared;
+    const metadata = {
       classification,
       contextStats: this.contextManager.getContextStats(
-        optimizedContext,
-        classification.model
+        prepared.optimizedContext,
+        prepared.llmParams.model
       ),
+      // The model that produced the answer (differs from classification.model after a fallback)
+      answeredBy: prepared.llmParams.model,
       modelConfig: modelConfig,
       promptInfo: {
         maxTokens,
@@ -146,29 +1238,41 @@ export class AIOrchestrator {
         systemPrompt: systemPrompt, // Full prompt for transparency
       },
     };
-
-    return result;
+    if (result.usage) {
+      metadata.usage = result.usage;
+    }
+    if (result.attempts) {
+      // One entry per HTTP attempt; retries = attempts.length - 1
+      metadata.attempts = result.attempts;
+    }
+    return metadata;
   }
 
   /**
    * Generate a chat title for a new conversation.
    * @param {string} firstMessage - The first user message.
+   * @param {object} options - Optional { signal, timeoutMs }.
    * @returns {Promise<string>} - The generated chat title.
    */
-  async generateChatTitle(firstMessage) {
-    return await this.chatTitleGenerator.generateChatTitle(firstMessage);
+  async generateChatTitle(firstMessage, options = {}) {
+    return await this.chatTitleGenerator.generateChatTitle(
+      firstMessage,
+      options
+    );
   }
 
   /**
    * Dynamically update the chat title as the conversation evolves.
    * @param {Array} messages - The chat messages.
    * @param {string} currentTitle - The current chat title.
+   * @param {object} options - Optional { signal, timeoutMs }.
    * @returns {Promise<string>} - The updated chat title.
    */
-  async updateChatTitleDynamically(messages, currentTitle) {
+  async updateChatTitleDynamically(messages, currentTitle, options = {}) {
     return await this.chatTitleGenerator.updateChatTitleDynamically(
       messages,
-      currentTitle
+      currentTitle,
+      options
     );
   }
 
@@ -185,10 +1289,12 @@ export class AIOrchestrator {
       this.modelManager = options.customModelManager;
       this.taskClassifier.setModelManager(this.modelManager);
       this.contextManager.setModelManager(this.modelManager);
+      this.llmClient.setModelManager(this.modelManager);
     }
 
     if (options.customTaskClassifier) {
       this.taskClassifier = options.customTaskClassifier;
+      this.taskClassifier.setLLMClient(this.llmClient);
     }
 
     if (options.customPromptManager) {
@@ -201,6 +1307,16 @@ export class AIOrchestrator {
 
     if (options.customLLMClient) {
       this.llmClient = options.customLLMClient;
+      this.llmClient.setModelManager(this.modelManager);
+      this.taskClassifier.setLLMClient(this.llmClient);
+    }
+
+    if (options.classifierModel) {
+      this.taskClassifier.setClassifierModel(options.classifierModel);
+    }
+
+    if (options.localClassifier) {
+      this.taskClassifier.setLocalClassifier(options.localClassifier);
     }
 
     if (options.customChatTitleGenerator) {
@@ -222,21 +1338,34 @@ export class AIOrchestrator {
   }
 
   /**
-   * Add a custom model to the registry.
+   * Add a custom model to the orchestrator's model registry.
    * @param {string} modelId - The model identifier.
-   * @param {object} config - The model configuration.
+   * @param {object} config - The model configuration (its `provider` selects the adapter; see MODEL_CONFIG_SCHEMA).
+   * @throws {Error} - If the configuration is invalid.
    */
   addCustomModel(modelId, config) {
-    MODEL_REGISTRY[modelId] = config;
+    this.modelManager.addModel(modelId, config);
   }
 
   /**
-   * Add a custom task type.
+   * Add a custom task type to this orchestrator's task classifier (see
+   * TaskClassifier.addTaskType); other orchestrators never see it.
    * @param {string} taskType - The task type identifier.
    * @param {object} config - The task configuration.
    */
   addCustomTask(taskType, config) {
-    TASK_TYPES[taskType] = config;
+    this.taskClassifier.addTaskType(taskType, config);
+  }
+
+  /**
+   * Add a scoring strategy that ranks registry models per request to this
+   * orchestrator's model manager (see ModelManager.defineStrategy).
+   * @param {string} name - Strategy name.
+   * @param {object} definition - { weights, scorers, capabilities, minContextWindow, allowedProviders, fallbackCount }.
+   * @returns {object} - The added strategy.
+   */
+  addCustomStrategy(name, definition) {
+    return this.modelManager.defineStrategy(name, definition);
   }
 
   /**
@@ -257,15 +1386,185 @@ export class AIOrchestrator {
     return await this.llmClient.testModel(modelId);
   }
 
+  /**
+   * Create embeddings for search, clustering or deduplication.
+   * @param {string|Array<string>} texts - Text or texts to embed.
+   * @param {object} options - { model, dimensions, signal, timeoutMs, priority } (see LLMClient.embed), throwOnError and identity (charged for the embeddings).
+   * @returns {Promise<object>} - { success, embeddings, model, provider, dimensions, usage, cost, ... }.
+   * @throws {LLMError} - Only with options.throwOnError; error.result holds the failed result.
+   */
+  async embed(texts, options = {}) {
+    // Hold the embeddings' estimated cost until their usage is known
+    const model = options.model || this.modelManager.getEmbeddingModel();
+    const estimatedUsage = {
+      promptTokens: this.contextManager.estimateTokenCount(
+        [texts].flat().join("\n")
+      ),
+    };
+    const budget =
+      this.budgetManager && options.identity
+        ? await this.budgetManager.check(options.identity, {
+            reserve: {
+              cost: this.modelManager.hasModel(model)
+                ? this.modelManager.calculateCost(model, estimatedUsage).total
+                : 0,
+              tokens: estimatedUsage.promptTokens,
+            },
+          })
+        : null;
+    if (budget && !budget.allowed) {
+      const refused = this.createBudgetExceededResult(budget);
+      if (options.throwOnError) {
+        throw this.toThrowable(refused);
+      }
+      return refused;
+    }
+    try {
+      const result = await this.llmClient.embed(texts, options);
+      if (budget) {
+        await this.recordSpend(
+          options.identity,
+          [
+            {
+              model: result.model,
+              usage: result.usage,
+              cost: result.cost,
+              estimatedUsage:
+                result.success && !result.usage ? estimatedUsage : null,
+            },
+          ],
+          budget.reservation
+        );
+      }
+      if (options.throwOnError && !result.success) {
+        throw this.toThrowable(result);
+      }
+      return result;
+    } finally {
+      // Only left to release if the call threw
+      this.budgetManager?.release(budget?.reservation);
+    }
+  }
+
+  /**
+   * Set the budget manager that enforces per-identity spend limits (null disables budgets).
+   * @param {BudgetManager|null} budgetManager - The budget manager.
+   */
+  setBudgetManager(budgetManager) {
+    this.budgetManager = budgetManager;
+  }
+
+  /**
+   * Get the budget manager (null if budgets are not enforced).
+   * @returns {BudgetManager|null}
+   */
+  getBudgetManager() {
+    return this.budgetManager;
+  }
+
+  /**
+   * Register a tool the model can call during processQuery.
+   * @param {string} name - Tool name.
+   * @param {object} definition - { description, parameters (JSON Schema), handler }.
+   */
+  registerTool(name, definition) {
+    this.toolRegistry.registerTool(name, definition);
+  }
+
+  /**
+   * Remove a registered tool.
+   * @param {string} name - Tool name.
+   */
+  removeTool(name) {
+    this.toolRegistry.removeTool(name);
+  }
+
+  /**
+   * Register a provider adapter on the orchestrator's LLM client.
+   * @param {string} name - Provider name (referenced by registry entries' `provider`).
+   * @param {object} adapter - The provider adapter.
+   * @param {object} options - Optional { endpoint, apiKey }.
+   */
+  registerProvider(name, adapter, options = {}) {
+    this.llmClient.registerProvider(name, adapter, options);
+  }
+
+  /**
+   * Sync the model registry with the models each provider currently serves.
+   * Providers that fail to list (no API key, server down) are reported and
+   * left untouched.
+   * @param {object} options - Sync options.
+   * @param {Array<string>} options.providers - Providers to sync (default: every registry provider the strategy allows; disallowed ones are reported as failed, not contacted).
+   * @param {boolean} options.remapStrategies - Point strategies at replacements for retired models.
+   * @param {object} options.replacements - Extra { oldId: newId } replacements (merged over MODEL_REPLACEMENTS).
+   * @param {AbortSignal} options.signal - Cancels the listing requests.
+   * @param {number} options.timeoutMs - Time limit for each provider's listing.
+   * @returns {Promise<object>} - { providers, updated, unavailable, newModels, remapped }.
+   */
+  async syncModelCatalog(options = {}) {
+    const providers = options.providers || [
+      ...new Set(
+        this.modelManager
+          .getAvailableModels()
+          .map((modelId) => this.modelManager.getModelConfig(modelId).provider)
+          .filter((provider) => this.modelManager.isProviderAllowed(provider))
+      ),
+    ];
+    const report = {
+      providers: {},
+      updated: [],
+      unavailable: [],
+      newModels: [],
+      remapped: [],
+    };
+
+    for (const provider of providers) {
+      const listing = await this.llmClient.listModels(provider, {
+        signal: options.signal,
+        timeoutMs: options.timeoutMs,
+      });
+      if (!listing.success) {
+        console.warn(
+          `Could not list models for ${provider}:`,
+          listing.error.message
+        );
+        report.providers[provider] = {
+          success: false,
+          error: listing.error,
+        };
+        continue;
+      }
+      report.providers[provider] = {
+        success: true,
+        models: listing.models.length,
+      };
+      const changes = this.modelManager.reconcileCatalog(
+        provider,
+        listing.models,
+        options
+      );
+      for (const key of ["updated", "unavailable", "newModels", "remapped"]) {
+        report[key].push(...changes[key]);
+      }
+    }
+    return report;
+  }
+
   /**
    * Estimate the cost of a given model usage.
    * @param {string} modelId - The model identifier.
-   * @param {number} inputTokens - Number of input tokens.
+   * @param {number} inputTokens - Number of input tokens (including cached ones).
    * @param {number} outputTokens - Number of output tokens (optional).
+   * @param {number} cachedInputTokens - Input tokens served from the prompt cache (optional).
    * @returns {number} - Estimated cost in USD.
    */
-  estimateCost(modelId, inputTokens, outputTokens = 0) {
-    return this.modelManager.estimateCost(modelId, inputTokens, outputTokens);
+  estimateCost(modelId, inputTokens, outputTokens = 0, cachedInputTokens = 0) {
+    return this.modelManager.estimateCost(
+      modelId,
+      inputTokens,
+      outputTokens,
+      cachedInputTokens
+    );
   }
 }
 
@@ -276,19 +1575,29 @@ export class AIOrchestrator {
  */
 export function createAIOrchestrator(config = {}) {
   const options = {
-    modelStrategy: config.modelStrategy || "BALANCED",
+    modelStrategy: config.modelStrategy,
+    strategies: config.strategies,
+    taskTypes: config.taskTypes,
     customModelManager: config.customModelManager,
     customTaskClassifier: config.customTaskClassifier,
     customPromptManager: config.customPromptManager,
     customContextManager: config.customContextManager,
     customLLMClient: config.customLLMClient,
     customChatTitleGenerator: config.customChatTitleGenerator,
+    customToolRegistry: config.customToolRegistry,
+    fallbackErrorCodes: config.fallbackErrorCodes,
   };
 
   const orchestrator = new AIOrchestrator(options);
 
-  if (config.modelStrategy) {
-    orchestrator.configure({ modelStrategy: config.modelStrategy });
+  // A custom model manager is the caller's own, so it may be switched over
+  if (config.customModelManager) {
+    for (const [name, definition] of Object.entries(config.strategies || {})) {
+      config.customModelManager.defineStrategy(name, definition);
+    }
+    if (config.modelStrategy) {
+      orchestrator.configure({ modelStrategy: config.modelStrategy });
+    }
   }
 
   return orchestrator;
@@ -310,6 +1619,12 @@ export const AIOrchestrators = {
 
   // Balanced: good balance of cost, quality, and speed
   Balanced: () => createAIOrchestrator({ modelStrategy: "BALANCED" }),
+
+  // Local-only: only local models (Ollama / llama.cpp), nothing leaves the machine
+  LocalOnly: () => createAIOrchestrator({ modelStrategy: "LOCAL_ONLY" }),
+
+  // Adaptive: learns the best model per task from latency, errors, cost and feedback
+  Adaptive: () => createAIOrchestrator({ modelStrategy: "ADAPTIVE" }),
 };
 
 // Export all components for advanced usage
@@ -318,11 +1633,32 @@ export {
   ModelManager,
   MODEL_REGISTRY,
   MODEL_SELECTION_STRATEGIES,
+  MODEL_REPLACEMENTS,
+  MODEL_ALIASES,
+  MODEL_CONFIG_SCHEMA,
+  MODEL_SCORERS,
+  SPEED_SCORES,
+  QUALITY_SCORES,
+  TASK_CAPABILITIES,
+  DEFAULT_EMBEDDING_MODEL,
+  defineStrategy,
+  validateModelConfig,
   getDefaultModelManager,
 
+  // Adaptive Routing
+  AdaptiveRouter,
+  ADAPTIVE_POLICIES,
+  DEFAULT_ADAPTIVE_OPTIONS,
+
   // Task Classification
   TaskClassifier,
   TASK_TYPES,
+  DEFAULT_CLASSIFIER_OPTIONS,
+  tokenize,
+  stemWord,
+  LocalClassifier,
+  DEFAULT_LOCAL_CLASSIFIER_OPTIONS,
+  DEFAULT_CLASSIFIER_MODEL,
   TextComplexityAnalyzer,
   getDefaultTaskClassifier,
 
@@ -338,11 +1674,70 @@ export {
 
   // LLM Client
   LLMClient,
+  DEFAULT_RETRY_OPTIONS,
   getDefaultLLMClient,
 
+  // Provider Adapters
+  PROVIDER_ADAPTERS,
+  ANTHROPIC_API_VERSION,
+  ANTHROPIC_DEFAULT_MAX_TOKENS,
+  ANTHROPIC_LEADING_USER_TURN,
+  DEFAULT_LOCAL_BASE_URL,
+  createOpenAICompatibleAdapter,
+  anthropicAdapter,
+
   // Chat Title Generator
   ChatTitleGenerator,
   getDefaultChatTitleGenerator,
+
+  // Tools
+  ToolRegistry,
+  getDefaultToolRegistry,
+
+  // Errors
+  ERROR_CODES,
+  LLMError,
+  AuthError,
+  RateLimitError,
+  ContextLengthExceeded,
+  ModelNotFound,
+  ProviderUnavailable,
+  InvalidRequest,
+  BudgetExceeded,
+  createProviderError,
+
+  // Structured Output
+  validateSchema,
+  parseJSONContent,
+  parseStructuredOutput,
+  wrapResponseSchema,
+  WRAPPED_SCHEMA_PROPERTY,
+
+  // Images
+  IMAGE_TOKEN_ESTIMATES,
+  createImagePart,
+  loadImage,
+  loadImages,
+  loadChatHistoryImages,
+  buildMessageContent,
+  contentHasImages,
+
+  // Rate Limiting
+  RateLimiter,
+  REQUEST_PRIORITIES,
+
+  // Budgets
+  BudgetManager,
+  MemoryBudgetStore,
+  JSONFileBudgetStore,
+  BUDGET_SCOPES,
+  BUDGET_PERIODS,
+  DEFAULT_BUDGET_OPTIONS,
+
+  // Record/Replay
+  Cassette,
+  CassetteMissError,
+  CASSETTE_MODES,
 };
 
 // Export default orchestrator instance
@@ -350,7 +1745,15 @@ let _defaultAIOrchestrator = null;
 
 export function getDefaultAIOrchestrator() {
   if (!_defaultAIOrchestrator) {
-    _defaultAIOrchestrator = new AIOrchestrator();
+    // The default orchestrator uses the default components
+    _defaultAIOrchestrator = new AIOrchestrator({
+      modelManager: getDefaultModelManager(),
+      taskClassifier: getDefaultTaskClassifier(),
+      contextManager: getDefaultContextManager(),
+      llmClient: getDefaultLLMClient(),
+      chatTitleGenerator: getDefaultChatTitleGenerator(),
+      toolRegistry: getDefaultToolRegistry(),
+    });
   }
   return _defaultAIOrchestrator;
 }
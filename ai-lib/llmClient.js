@@ -2,23 +2,283 @@
 // This module handles API calls to different LLM providers (GroqCloud, OpenAI, Anthropic, etc.)
 // It abstracts the details of endpoint URLs, API keys, and request/response formatting.
 
+import { defaultModelManager } from "./models.js";
+import { PROVIDER_ADAPTERS, validateProviderAdapter } from "./providers.js";
+import { Cassette, CassetteMissError } from "./cassette.js";
+import { withTimeout, getAbortType, sleep } from "./abort.js";
+import { getDefaultContextManager } from "./contextManager.js";
+import { RateLimiter } from "./rateLimiter.js";
+import {
+  ERROR_CODES,
+  LLMError,
+  ProviderUnavailable,
+  InvalidRequest,
+  createProviderError,
+} from "./errors.js";
+
+// Default retry behaviour for failed LLM calls
+export const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3, // Total attempts, including the first call
+  baseDelayMs: 500, // Delay before the first retry (doubles each attempt)
+  maxDelayMs: 8000, // Upper bound for computed backoff delays
+  maxRetryAfterMs: 60000, // Give up if the provider asks us to wait longer than this
+  jitter: true, // Randomize delays to avoid synchronized retries
+  // Rate limits, timeouts and transient server errors; auth and validation errors are never retried
+  retryOnStatus: [408, 409, 425, 429, 500, 502, 503, 504, 529],
+};
+
+/**
+ * Parse a rate limit reset duration such as "2m59.56s", "7.66s" or "120ms".
+ * @param {string|null} value - Header value.
+ * @returns {number|null} - Duration in milliseconds, or null if unparseable.
+ */
+function parseResetDuration(value) {
+  if (!value) return null;
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? Math.ceil(total) : null;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date).
+ * @param {string|null} value - Header value.
+ * @returns {number|null} - Delay in milliseconds, or null if unparseable.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, Math.ceil(seconds * 1000));
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read a server-sent events body and yield the data payload of each event.
+ * @param {ReadableStream} body - The fetch response body.
+ * @returns {AsyncGenerator<string>} - Data payloads (multi-line data joined with "\n").
+ */
+async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let dataLines = [];
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      buffer += done
+        ? decoder.decode()
+        : decoder.decode(value, { stream: true });
+
+      // Process every complete line currently in the buffer
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newlineIndex).replace(/\r$/, "");
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line === "") {
+          // A blank line terminates the current event
+          if (dataLines.length > 0) {
+            yield dataLines.join("\n");
+            dataLines = [];
+          }
+        } else if (line.startsWith("data:")) {
+          dataLines.push(line.slice(5).replace(/^ /, ""));
+        }
+        // Comments (":") and other fields (event, id, retry) are ignored
+      }
+
+      if (done) break;
+    }
+    // Flush a trailing event that wasn't followed by a blank line
+    if (buffer.startsWith("data:")) {
+      dataLines.push(buffer.slice(5).replace(/^ /, ""));
+    }
+    if (dataLines.length > 0) {
+      yield dataLines.join("\n");
+    }
+  } finally {
+    // Close the connection if the consumer stopped reading early
+    await reader.cancel().catch(() => {});
+  }
+}
+
 // LLM client class: manages all LLM API interactions
 export class LLMClient {
   /**
    * Construct a new LLMClient instance.
-   * Initializes endpoints and API key storage.
+   * Initializes provider adapters, endpoints and API key storage.
+   * @param {object} options - Optional settings (retry, modelManager, contextManager, localBaseUrl, fetch, cassette, rateLimits, rateLimiter, keySource).
+   * @param {LLMClient} options.keySource - Client whose API keys are used for providers this client has no key for.
    */
-  constructor() {
-    this.endpoints = {
-      groq: "https://api.groq.com/openai/v1/chat/completions", // GroqCloud API endpoint
-      openai: "/api/openai", // Placeholder for future OpenAI endpoint
-      anthropic: "/api/anthropic", // Placeholder for future Anthropic endpoint
-    };
+  constructor(options = {}) {
+    // Model manager supplies each model's provider and API model name
+    this.modelManager = options.modelManager || defaultModelManager;
+    // Provider adapters, keyed by the registry's `provider` field
+    this.adapters = { ...PROVIDER_ADAPTERS };
+    // Endpoint per provider (seeded from the adapters' defaults)
+    this.endpoints = {};
+    for (const [provider, adapter] of Object.entries(this.adapters)) {
+      this.endpoints[provider] = adapter.endpoint;
+    }
+    // Base URL overrides per provider (see setBaseUrl)
+    this.baseUrls = {};
     this.apiKeys = {
       groq: null,
       openai: null,
       anthropic: null,
+      local: null,
     };
+    // Orchestrators pass the default client, so setApiKey() applies to them too
+    this.keySource = options.keySource || null;
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+    // Custom fetch implementation (defaults to the global fetch at call time)
+    this.fetchImpl = options.fetch || null;
+    // Record/replay cassette for offline deterministic runs (see cassette.js)
+    this.cassette = options.cassette || null;
+    // Context manager estimates request token costs for rate limiting
+    this.contextManager = options.contextManager || getDefaultContextManager();
+    // Client-side rate limiter (see rateLimiter.js); null sends requests immediately
+    this.rateLimiter =
+      options.rateLimiter ||
+      (options.rateLimits ? new RateLimiter(options.rateLimits) : null);
+
+    if (options.localBaseUrl) {
+      this.setBaseUrl("local", options.localBaseUrl);
+    }
+  }
+
+  /**
+   * Register a provider adapter (e.g. Mistral, Together, an in-house gateway).
+   * Models whose registry entry has `provider: name` are then routed to it.
+   * @param {string} name - Provider name.
+   * @param {object} adapter - Adapter implementing PROVIDER_ADAPTER_METHODS.
+   * @param {object} options - Optional { endpoint, apiKey } for this provider.
+   */
+  registerProvider(name, adapter, options = {}) {
+    validateProviderAdapter(name, adapter);
+    this.adapters[name] = adapter;
+    const endpoint = options.endpoint || adapter.endpoint;
+    if (endpoint) {
+      this.endpoints[name] = endpoint;
+    }
+    if (options.apiKey) {
+      this.apiKeys[name] = options.apiKey;
+    }
+  }
+
+  /**
+   * Get the adapter registered for a provider.
+   * @param {string} provider - Provider name.
+   * @returns {object|null} - Provider adapter, or null if none is registered.
+   */
+  getProviderAdapter(provider) {
+    return this.adapters[provider] || null;
+  }
+
+  /**
+   * Get the names of all registered providers.
+   * @returns {Array<string>} - Provider names.
+   */
+  getProviders() {
+    return Object.keys(this.adapters);
+  }
+
+  /**
+   * Set the model manager (for dynamic model config changes).
+   */
+  setModelManager(modelManager) {
+    this.modelManager = modelManager;
+  }
+
+  /**
+   * Configure retry behaviour for failed calls.
+   * @param {object} options - Any of the DEFAULT_RETRY_OPTIONS fields.
+   */
+  setRetryOptions(options) {
+    this.retryOptions = { ...this.retryOptions, ...options };
+  }
+
+  /**
+   * Set per-provider rate limits, creating the rate limiter if needed.
+   * @param {object} limits - e.g. { groq: { rpm: 30, tpm: 6000, maxConcurrent: 4, models: { [modelId]: { rpm, tpm, maxConcurrent } } } }.
+   */
+  setRateLimits(limits) {
+    if (this.rateLimiter) {
+      this.rateLimiter.setLimits(limits);
+    } else {
+      this.rateLimiter = new RateLimiter(limits);
+    }
+  }
+
+  /**
+   * Set (or clear with null) the rate limiter, e.g. to share one between clients.
+   */
+  setRateLimiter(rateLimiter) {
+    this.rateLimiter = rateLimiter;
+  }
+
+  /**
+   * Get the rate limiter (null if none is configured).
+   */
+  getRateLimiter() {
+    return this.rateLimiter;
+  }
+
+  /**
+   * Estimate a request's token cost for rate limiting: the prompt tokens of
+   * its messages plus the completion budget (maxTokens), or for embedding
+   * requests the tokens of the input texts.
+   * @param {object} params - LLM call parameters (or embedding params with input).
+   * @returns {number} - Estimated total tokens.
+   */
+  estimateRequestTokens(params) {
+    if (params.input) {
+      return params.input.reduce(
+        (sum, text) => sum + this.contextManager.estimateTokenCount(text),
+        0
+      );
+    }
+    const promptTokens = (params.messages || []).reduce(
+      (sum, message) =>
+        sum + this.contextManager.estimateMessageTokens(message),
+      0
+    );
+    return promptTokens + (params.maxTokens || 0);
+  }
+
+  /**
+   * Wait until the rate limiter lets a request through (immediately if none is set).
+   * @param {string} provider - Provider name.
+   * @param {object} params - LLM call parameters (model, messages, maxTokens, priority).
+   * @param {AbortSignal|null} signal - Cancels the wait.
+   * @returns {Promise<function>} - release(actualTokens) to call when the request finishes.
+   */
+  async acquireSlot(provider, params, signal) {
+    if (!this.rateLimiter) {
+      return () => {};
+    }
+    return this.rateLimiter.acquire({
+      provider,
+      model: params.model,
+      tokens: this.estimateRequestTokens(params),
+      priority: params.priority,
+      signal,
+    });
+  }
+
+  /**
+   * Get the current retry options.
+   * @returns {object} - Retry options.
+   */
+  getRetryOptions() {
+    return this.retryOptions;
   }
 
   /**
@@ -31,21 +291,27 @@ export class LLMClient {
   }
 
   /**
-   * Get the API key for a provider.
+   * Get the API key for a provider (falling back to the key source's key).
    * @param {string} provider - Provider name.
    * @returns {string|null} - API key value.
    */
   getApiKey(provider) {
-    return this.apiKeys[provider];
+    return (
+      this.apiKeys[provider] ?? this.keySource?.getApiKey(provider) ?? null
+    );
   }
 
   /**
    * Main method to call an LLM with the given parameters.
    * Handles endpoint selection, API key, and request formatting.
+   * Pass params.signal (AbortSignal) and/or params.timeoutMs to bound the call;
+   * an aborted call returns errorType "cancelled" or "timeout".
    * @param {object} params - LLM call parameters (model, messages, etc).
    * @returns {Promise<object>} - LLM response or error object.
    */
   async callLLM(params) {
+    // Aliases and sunset models resolve to the model that is actually called
+    params = { ...params, model: this.modelManager.resolveModel(params.model) };
     const {
       model,
       messages,
@@ -66,85 +332,529 @@ export class LLMClient {
       contextMessages: contextMessages?.length || 0,
     });
 
+    const { signal, clear } = withTimeout(params.signal, params.timeoutMs);
+    let release = null;
     try {
-      // Determine provider from model name
-      const provider = this.getProviderFromModel(model);
-      const endpoint = this.endpoints[provider] || this.endpoints.groq;
-      const apiKey = this.getApiKey(provider);
-
-      // Prepare headers (add Authorization if API key is set)
-      const headers = {
-        "Content-Type": "application/json",
-      };
-      if (apiKey) {
-        headers["Authorization"] = `Bearer ${apiKey}`;
-      }
+      // Determine provider from the model's registry entry
+      const provider = params.provider || this.getProviderFromModel(model);
+      const { endpoint, headers, body } = this.buildRequest(provider, params);
+
+      // Wait for rate limit capacity (queued by priority)
+      release = await this.acquireSlot(provider, params, signal);
+      const startedAt = Date.now();
 
-      // Make the API call
-      const response = await fetch(endpoint, {
-        method: "POST",
-        headers,
-        body: JSON.stringify({
+      // Make the API call (retrying transient failures)
+      const { response, error, attempts } = await this.fetchWithRetry(
+        endpoint,
+        {
+          method: "POST",
+          headers,
+          body: JSON.stringify(body),
+          signal,
+        }
+      );
+
+      if (error) {
+        // The provider could not be reached (DNS, connection reset...)
+        const networkError = new ProviderUnavailable(error.message, {
+          provider,
           model,
-          max_tokens: maxTokens,
-          temperature,
-          messages,
-        }),
-      });
+          cause: error,
+        });
+        return {
+          ...this.createErrorResponse(networkError, error.message, params),
+          attempts,
+        };
+      }
 
       // Handle non-OK responses
       if (!response.ok) {
-        const errorText = await response.text();
-        return this.createErrorResponse("LLM call failed", errorText, params);
+        return {
+          ...(await this.createProviderErrorResponse(
+            provider,
+            response,
+            params
+          )),
+          attempts,
+        };
       }
 
       // Parse and return the successful response
-      const result = await response.json();
-      return this.createSuccessResponse(result, params);
+      const raw = await response.json();
+      const result = this.parseResponse(provider, raw);
+      if (result.usage) {
+        release(
+          (result.usage.prompt_tokens || 0) +
+            (result.usage.completion_tokens || 0)
+        );
+      }
+      return {
+        ...this.createSuccessResponse(result, params, {
+          provider,
+          latencyMs: Date.now() - startedAt,
+          raw,
+        }),
+        attempts,
+      };
     } catch (error) {
-      // Catch network or other errors
-      return this.createErrorResponse("LLM call error", error.message, params);
+      if (error instanceof CassetteMissError) throw error;
+      // Cancellation and timeouts are reported separately from failures
+      const abortType = getAbortType(signal);
+      if (abortType) {
+        return this.createAbortResponse(abortType, signal, params);
+      }
+      // Catch configuration errors, unparseable responses, etc.
+      return this.createErrorResponse(
+        this.toLLMError(error, params),
+        error.message,
+        params
+      );
+    } finally {
+      if (release) release();
+      clear();
     }
   }
 
   /**
-   * Determine the provider name from the model name.
+   * Build the endpoint, headers and JSON body for a provider request.
+   * @param {string} provider - Provider name.
+   * @param {object} params - LLM call parameters (model, messages, etc).
+   * @param {boolean} stream - Whether to request a streamed response.
+   * @returns {object} - { endpoint, headers, body }
+   */
+  buildRequest(provider, params, stream = false) {
+    const adapter = this.adapters[provider];
+    if (!adapter) {
+      throw new Error(`No provider adapter registered for "${provider}"`);
+    }
+    const endpoint = this.getEndpoint(provider);
+    if (!endpoint) {
+      throw new Error(`No endpoint configured for provider "${provider}"`);
+    }
+    // Strategies such as LOCAL_ONLY restrict which providers may be called
+    if (!this.modelManager.isProviderAllowed(provider)) {
+      throw new Error(
+        `Provider "${provider}" is not allowed by the ${this.modelManager.getStrategy()} strategy`
+      );
+    }
+    // Registry entries may map a short ID to the provider's full model name
+    // (models outside the registry can still be called with an explicit provider)
+    const config = this.modelManager.hasModel(params.model)
+      ? this.modelManager.getModelConfig(params.model)
+      : {};
+    const model = config.apiModel || params.model;
+
+    const headers = {
+      "Content-Type": "application/json",
+      ...adapter.authHeaders(this.getApiKey(provider)),
+    };
+    if (stream) {
+      headers["Accept"] = "text/event-stream";
+    }
+    const body = adapter.buildRequest(params, { model, stream });
+    return { endpoint, headers, body };
+  }
+
+  /**
+   * Build the endpoint, headers and body for an embeddings request.
+   * @param {string} provider - Provider name.
+   * @param {object} params - { model, input, dimensions }.
+   * @returns {object} - { endpoint, headers, body }
+   */
+  buildEmbeddingRequest(provider, params) {
+    const adapter = this.adapters[provider];
+    if (!adapter || !adapter.embeddingsPath || !adapter.buildEmbeddingRequest) {
+      throw new Error(`Provider "${provider}" does not support embeddings`);
+    }
+    const baseUrl = this.getBaseUrl(provider);
+    if (!baseUrl) {
+      throw new Error(`No base URL configured for provider "${provider}"`);
+    }
+    if (!this.modelManager.isProviderAllowed(provider)) {
+      throw new Error(
+        `Provider "${provider}" is not allowed by the ${this.modelManager.getStrategy()} strategy`
+      );
+    }
+    const config = this.modelManager.getModelConfig(params.model);
+    const model = config.apiModel || params.model;
+
+    const headers = {
+      "Content-Type": "application/json",
+      ...adapter.authHeaders(this.getApiKey(provider)),
+    };
+    const body = adapter.buildEmbeddingRequest(params, { model });
+    return { endpoint: baseUrl + adapter.embeddingsPath, headers, body };
+  }
+
+  /**
+   * Convert a provider's response body into the OpenAI-style chat completion
+   * shape ({ choices: [{ message }], usage }) the rest of the library expects.
+   * @param {string} provider - Provider name.
+   * @param {object} result - Parsed JSON response body.
+   * @returns {object} - Chat completion object.
+   */
+  parseResponse(provider, result) {
+    return this.adapters[provider].parseResponse(result);
+  }
+
+  /**
+   * Extract the text delta, finish reason and usage from one streamed event.
+   * @param {string} provider - Provider name.
+   * @param {object} chunk - Parsed event data.
+   * @returns {object} - { id, delta, finishReason, usage } (fields may be undefined).
+   */
+  parseStreamChunk(provider, chunk) {
+    return this.adapters[provider].parseStreamChunk(chunk);
+  }
+
+  /**
+   * Make an HTTP request through the cassette (if one is set) or fetch.
+   * @param {string} url - Request URL.
+   * @param {object} init - fetch options.
+   * @returns {Promise<Response>} - The response.
+   */
+  async fetch(url, init) {
+    const realFetch = this.fetchImpl || ((...args) => fetch(...args));
+    if (this.cassette) {
+      return this.cassette.fetch(url, init, realFetch);
+    }
+    return realFetch(url, init);
+  }
+
+  /**
+   * Record or replay LLM calls using a cassette file.
+   * @param {string} path - Cassette JSON file.
+   * @param {object} options - { mode: "record" | "replay", strict } (see Cassette).
+   * @returns {Promise<Cassette>} - The loaded cassette.
+   */
+  async useCassette(path, options = {}) {
+    const cassette = new Cassette({ ...options, path });
+    await cassette.load();
+    this.cassette = cassette;
+    return cassette;
+  }
+
+  /**
+   * Set (or clear, with null) the cassette used for LLM calls.
+   */
+  setCassette(cassette) {
+    this.cassette = cassette;
+  }
+
+  /**
+   * Perform a fetch, retrying transient failures with exponential backoff.
+   * Honours Retry-After and Groq's x-ratelimit-reset-* headers, and never
+   * retries statuses outside retryOptions.retryOnStatus (e.g. 401, 400).
+   * Throws the abort reason if init.signal aborts, including during backoff.
+   * @param {string} url - Request URL.
+   * @param {object} init - fetch options.
+   * @returns {Promise<object>} - { response, error, attempts }, where attempts records each try.
+   */
+  async fetchWithRetry(url, init) {
+    const { maxAttempts } = this.retryOptions;
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      let response = null;
+      let error = null;
+      try {
+        response = await this.fetch(url, init);
+      } catch (e) {
+        // A cassette miss is a test setup problem, not a transient failure
+        if (e instanceof CassetteMissError) throw e;
+        // Never retry a call the caller cancelled or that timed out
+        if (init.signal && init.signal.aborted) throw e;
+        error = e;
+      }
+
+      const record = {
+        attempt,
+        status: response ? response.status : null,
+        durationMs: Date.now() - startedAt,
+      };
+      attempts.push(record);
+
+      if (response && response.ok) {
+        return { response, error: null, attempts };
+      }
+      if (error) {
+        record.error = error.message;
+      }
+
+      // Network errors are always retryable; HTTP errors only for listed statuses
+      const retryable =
+        !response || this.retryOptions.retryOnStatus.includes(response.status);
+      const delayMs = retryable ? this.getRetryDelay(attempt, response) : null;
+      if (!retryable || attempt >= maxAttempts || delayMs === null) {
+        return { response, error, attempts };
+      }
+
+      // Drain the failed body so the connection can be reused
+      if (response) {
+        record.error = (await response.text().catch(() => "")).slice(0, 200);
+      }
+      record.delayMs = delayMs;
+      console.warn(
+        `LLM request failed (${
+          record.status || record.error
+        }), retrying in ${delayMs}ms (attempt ${attempt}/${maxAttempts})`
+      );
+      await sleep(delayMs, init.signal);
+    }
+  }
+
+  /**
+   * Compute the delay before the next retry.
+   * Provider hints (Retry-After, x-ratelimit-reset-*) take precedence over backoff.
+   * @param {number} attempt - The attempt that just failed (1-based).
+   * @param {Response|null} response - The failed response, if any.
+   * @returns {number|null} - Delay in milliseconds, or null to stop retrying.
+   */
+  getRetryDelay(attempt, response) {
+    const { baseDelayMs, maxDelayMs, maxRetryAfterMs, jitter } =
+      this.retryOptions;
+
+    if (response) {
+      const headers = response.headers;
+      const hints = [
+        parseRetryAfter(headers.get("retry-after")),
+        parseResetDuration(headers.get("x-ratelimit-reset-requests")),
+        parseResetDuration(headers.get("x-ratelimit-reset-tokens")),
+      ].filter((hint) => hint !== null);
+      if (hints.length > 0) {
+        // Wait for whichever limit resets last
+        const hintMs = Math.max(...hints);
+        return hintMs > maxRetryAfterMs ? null : hintMs;
+      }
+    }
+
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    if (!jitter) return backoff;
+    // "Equal jitter": keep half the backoff, randomize the other half
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Stream an LLM response using the provider's server-sent events output.
+   * Yields { type: "delta", content } for each token chunk, then a single
+   * { type: "done", ...response } event shaped like a callLLM result.
+   * @param {object} params - LLM call parameters (same as callLLM).
+   * @returns {AsyncGenerator<object>} - Stream of delta events and a final done event.
+   */
+  async *streamLLM(params) {
+    params = { ...params, model: this.modelManager.resolveModel(params.model) };
+    const { model, maxTokens, temperature } = params;
+
+    console.log("Streaming LLM with params:", {
+      model,
+      task: params.task,
+      temperature,
+      maxTokens,
+      complexity: params.complexity,
+      contextMessages: params.contextMessages?.length || 0,
+    });
+
+    let content = "";
+    let finishReason = null;
+    let usage = null;
+    let id = null;
+    let streamAttempts = [];
+    let provider = null;
+
+    const { signal, clear } = withTimeout(params.signal, params.timeoutMs);
+    let startedAt = Date.now();
+    let release = null;
+    try {
+      provider = params.provider || this.getProviderFromModel(model);
+      const { endpoint, headers, body } = this.buildRequest(
+        provider,
+        params,
+        true
+      );
+
+      // Wait for rate limit capacity (queued by priority)
+      release = await this.acquireSlot(provider, params, signal);
+      startedAt = Date.now();
+
+      // Retries only cover establishing the stream, not failures mid-stream
+      const { response, error, attempts } = await this.fetchWithRetry(
+        endpoint,
+        {
+          method: "POST",
+          headers,
+          body: JSON.stringify(body),
+          signal,
+        }
+      );
+      streamAttempts = attempts;
+
+      if (error) {
+        throw new ProviderUnavailable(error.message, {
+          provider,
+          model,
+          cause: error,
+        });
+      }
+
+      if (!response.ok) {
+        yield {
+          type: "done",
+          ...(await this.createProviderErrorResponse(
+            provider,
+            response,
+            params
+          )),
+          attempts,
+        };
+        return;
+      }
+
+      for await (const data of readServerSentEvents(response.body)) {
+        if (data === "[DONE]") break;
+        const chunk = this.parseStreamChunk(provider, JSON.parse(data));
+        id = id || chunk.id;
+        if (chunk.usage) {
+          // Some providers split usage across events (input first, output last)
+          usage = { ...usage, ...chunk.usage };
+        }
+        if (chunk.finishReason) {
+          finishReason = chunk.finishReason;
+        }
+        if (chunk.delta) {
+          content += chunk.delta;
+          yield { type: "delta", content: chunk.delta };
+        }
+      }
+    } catch (error) {
+      if (error instanceof CassetteMissError) throw error;
+      const abortType = getAbortType(signal);
+      if (abortType) {
+        yield {
+          type: "done",
+          ...this.createAbortResponse(abortType, signal, params),
+          attempts: streamAttempts,
+        };
+        return;
+      }
+      yield {
+        type: "done",
+        ...this.createErrorResponse(
+          this.toLLMError(error, params, provider),
+          error.message,
+          params
+        ),
+        attempts: streamAttempts,
+      };
+      return;
+    } finally {
+      if (release) {
+        release(
+          usage
+            ? (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+            : null
+        );
+      }
+      clear();
+    }
+
+    // Assemble the streamed chunks into the same shape callLLM returns
+    const result = {
+      id,
+      object: "chat.completion",
+      model,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content },
+          finish_reason: finishReason,
+        },
+      ],
+    };
+    if (usage) {
+      if (usage.total_tokens === undefined) {
+        usage.total_tokens =
+          (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+      }
+      result.usage = usage;
+    }
+    yield {
+      type: "done",
+      ...this.createSuccessResponse(result, params, {
+        provider,
+        latencyMs: Date.now() - startedAt,
+      }),
+      attempts: streamAttempts,
+    };
+  }
+
+  /**
+   * Determine the provider for a model from its registry entry.
    * @param {string} model - Model identifier.
    * @returns {string} - Provider name.
+   * @throws {ModelNotFound} - If the model is not in the registry.
    */
   getProviderFromModel(model) {
-    if (model.includes("llama") || model.includes("mixtral")) {
-      return "groq";
-    } else if (model.includes("gpt")) {
-      return "openai";
-    } else if (model.includes("claude")) {
-      return "anthropic";
-    }
-    return "groq"; // Default to groq
+    return this.modelManager.getModelConfig(model).provider;
   }
 
   /**
-   * Format a successful LLM response with metadata.
+   * Format a successful LLM response in the normalized shape shared by all
+   * providers: text, finishReason, usage, cost, model, provider, latencyMs, raw
+   * (plus toolCalls when the model called tools). cost is calculated from the
+   * reported usage and the model's registry pricing (null without usage).
+   * @param {object} result - Chat completion from the provider adapter.
+   * @param {object} params - LLM call parameters.
+   * @param {object} details - { provider, latencyMs, raw } - raw defaults to result (e.g. for streams).
+   * @returns {object} - Normalized response.
    */
-  createSuccessResponse(result, params) {
-    return {
-      ...result,
-      temperature: params.temperature,
+  createSuccessResponse(result, params, details = {}) {
+    const choice = result.choices?.[0] || {};
+    const message = choice.message || {};
+    const usage = result.usage
+      ? {
+          promptTokens: result.usage.prompt_tokens || 0,
+          completionTokens: result.usage.completion_tokens || 0,
+          // Prompt tokens served from the provider's cache (billed at the cachedInput price)
+          cachedTokens: result.usage.prompt_tokens_details?.cached_tokens || 0,
+        }
+      : null;
+    const response = {
+      text: message.content || "",
+      finishReason: choice.finish_reason || null,
+      usage,
+      cost:
+        usage && this.modelManager.hasModel(params.model)
+          ? this.modelManager.calculateCost(params.model, usage)
+          : null,
       model: params.model,
+      provider: details.provider || null,
+      latencyMs: details.latencyMs ?? null,
+      raw: details.raw || result,
+      temperature: params.temperature,
       task: params.task,
       complexity: params.complexity,
       reason: params.reason,
       contextMessages: params.contextMessages?.length || 0,
       success: true,
     };
+    if (message.tool_calls && message.tool_calls.length > 0) {
+      response.toolCalls = message.tool_calls;
+    }
+    return response;
   }
 
   /**
    * Format an error response with details and metadata.
+   * @param {LLMError} error - Typed error (also exposed as errorCode).
+   * @param {string} details - Raw error text.
+   * @param {object} params - LLM call parameters.
+   * @returns {object} - Error response.
    */
   createErrorResponse(error, details, params) {
     return {
       error,
+      errorCode: error.code,
       details,
       temperature: params.temperature,
       model: params.model,
@@ -156,6 +866,231 @@ export class LLMClient {
     };
   }
 
+  /**
+   * Format the error response for a non-OK provider response, with a typed
+   * error built from the status and the adapter's parsed error payload.
+   * @param {string} provider - Provider name.
+   * @param {Response} response - The failed fetch response.
+   * @param {object} params - LLM call parameters.
+   * @returns {Promise<object>} - Error response with status and providerError.
+   */
+  async createProviderErrorResponse(provider, response, params) {
+    const errorText = await response.text();
+    const providerError = this.adapters[provider].parseError(
+      response.status,
+      errorText
+    );
+    const error = createProviderError(response.status, providerError, {
+      provider,
+      model: params.model,
+      details: errorText,
+      retryAfterMs:
+        parseRetryAfter(response.headers.get("retry-after")) ??
+        parseResetDuration(response.headers.get("x-ratelimit-reset-requests")),
+    });
+    return {
+      ...this.createErrorResponse(error, errorText, params),
+      status: response.status,
+      providerError,
+    };
+  }
+
+  /**
+   * Wrap an unexpected exception in an LLMError (typed errors pass through).
+   * @param {Error} error - The caught error.
+   * @param {object} params - LLM call parameters.
+   * @param {string|null} provider - Provider name, if known.
+   * @returns {LLMError}
+   */
+  toLLMError(error, params, provider = null) {
+    if (error instanceof LLMError) return error;
+    return new LLMError(error.message, {
+      code: ERROR_CODES.UNKNOWN,
+      provider,
+      model: params.model,
+      cause: error,
+    });
+  }
+
+  /**
+   * Format the response for a call that was cancelled or timed out.
+   * @param {string} abortType - "cancelled" or "timeout".
+   * @param {AbortSignal} signal - The aborted signal (its reason becomes the details).
+   * @param {object} params - LLM call parameters.
+   */
+  createAbortResponse(abortType, signal, params) {
+    const error = new LLMError(
+      abortType === "timeout" ? "LLM call timed out" : "LLM call cancelled",
+      {
+        code:
+          abortType === "timeout" ? ERROR_CODES.TIMEOUT : ERROR_CODES.CANCELLED,
+        model: params.model,
+        cause: signal.reason,
+      }
+    );
+    return {
+      ...this.createErrorResponse(
+        error,
+        signal.reason?.message || String(signal.reason),
+        params
+      ),
+      errorType: abortType,
+    };
+  }
+
+  /**
+   * Create embeddings with an embedding model (a MODEL_REGISTRY entry with
+   * type: "embedding"). Inputs are split into batches that respect the model's
+   * maxBatchSize and maxBatchTokens, sent one after another.
+   * @param {string|Array<string>} texts - Text or texts to embed.
+   * @param {object} options - Optional settings.
+   * @param {string} options.model - Embedding model (default: the strategy's, see ModelManager.getEmbeddingModel).
+   * @param {number} options.dimensions - Shorter vectors, for models that support it.
+   * @param {AbortSignal} options.signal - Cancels the remaining batches.
+   * @param {number} options.timeoutMs - Time limit for all batches.
+   * @param {string} options.priority - Rate limiter priority ("interactive", "normal", "background").
+   * @returns {Promise<object>} - { success, embeddings, model, provider, dimensions, usage, cost, latencyMs, attempts } or an error response.
+   */
+  async embed(texts, options = {}) {
+    const input = Array.isArray(texts) ? texts : [texts];
+    const model = this.modelManager.resolveModel(
+      options.model || this.modelManager.getEmbeddingModel()
+    );
+    const params = { model };
+    const { signal, clear } = withTimeout(options.signal, options.timeoutMs);
+    const startedAt = Date.now();
+    const embeddings = [];
+    const attempts = [];
+    let promptTokens = 0;
+    let provider = null;
+    try {
+      const config = this.modelManager.getModelConfig(model);
+      if (config.type !== "embedding") {
+        throw new InvalidRequest(`${model} is not an embedding model`, {
+          model,
+        });
+      }
+      provider = config.provider;
+      const adapter = this.adapters[provider];
+
+      for (const batch of this.createEmbeddingBatches(input, config)) {
+        const batchParams = {
+          model,
+          input: batch,
+          dimensions: options.dimensions,
+          priority: options.priority,
+        };
+        const { endpoint, headers, body } = this.buildEmbeddingRequest(
+          provider,
+          batchParams
+        );
+        const release = await this.acquireSlot(provider, batchParams, signal);
+        let usage = null;
+        try {
+          const fetched = await this.fetchWithRetry(endpoint, {
+            method: "POST",
+            headers,
+            body: JSON.stringify(body),
+            signal,
+          });
+          attempts.push(...fetched.attempts);
+          const { response, error } = fetched;
+          if (error) {
+            throw new ProviderUnavailable(error.message, {
+              provider,
+              model,
+              cause: error,
+            });
+          }
+          if (!response.ok) {
+            return {
+              ...(await this.createProviderErrorResponse(
+                provider,
+                response,
+                params
+              )),
+              provider,
+              attempts,
+            };
+          }
+          const parsed = adapter.parseEmbeddingResponse(await response.json());
+          embeddings.push(...parsed.embeddings);
+          usage = parsed.usage;
+        } finally {
+          release(usage ? usage.prompt_tokens || 0 : null);
+        }
+        // Local servers may not report usage; fall back to the estimate
+        promptTokens +=
+          usage?.prompt_tokens ?? this.estimateRequestTokens(batchParams);
+      }
+
+      return {
+        success: true,
+        embeddings,
+        model,
+        provider,
+        dimensions: embeddings[0]?.length ?? config.dimensions,
+        usage: { promptTokens },
+        cost: this.modelManager.calculateCost(model, { promptTokens }),
+        latencyMs: Date.now() - startedAt,
+        attempts,
+      };
+    } catch (error) {
+      if (error instanceof CassetteMissError) throw error;
+      const abortType = getAbortType(signal);
+      if (abortType) {
+        return {
+          ...this.createAbortResponse(abortType, signal, params),
+          provider,
+          attempts,
+        };
+      }
+      return {
+        ...this.createErrorResponse(
+          this.toLLMError(error, params, provider),
+          error.message,
+          params
+        ),
+        provider,
+        attempts,
+      };
+    } finally {
+      clear();
+    }
+  }
+
+  /**
+   * Split embedding inputs into batches within a model's maxBatchSize
+   * (inputs per request) and maxBatchTokens (estimated tokens per request).
+   * @param {Array<string>} input - Texts to embed.
+   * @param {object} config - Embedding model config.
+   * @returns {Array<Array<string>>} - Batches, in input order.
+   */
+  createEmbeddingBatches(input, config) {
+    const maxSize = config.maxBatchSize || input.length || 1;
+    const maxTokens = config.maxBatchTokens || Infinity;
+    const batches = [];
+    let batch = [];
+    let batchTokens = 0;
+    for (const text of input) {
+      const tokens = this.contextManager.estimateTokenCount(text);
+      if (
+        batch.length > 0 &&
+        (batch.length >= maxSize || batchTokens + tokens > maxTokens)
+      ) {
+        batches.push(batch);
+        batch = [];
+        batchTokens = 0;
+      }
+      batch.push(text);
+      batchTokens += tokens;
+    }
+    if (batch.length > 0) {
+      batches.push(batch);
+    }
+    return batches;
+  }
+
   /**
    * Test if a model is available by making a test call.
    * @param {string} model - Model identifier.
@@ -181,19 +1116,97 @@ export class LLMClient {
   }
 
   /**
-   * Get available models from a provider (not implemented for GroqCloud).
+   * List the models a provider currently serves, via its OpenAI-style
+   * GET /models endpoint (the adapter's modelsPath and parseModelList).
+   * Providers the current strategy does not allow are never contacted.
+   * @param {string} provider - Provider name.
+   * @param {object} options - Optional { signal, timeoutMs }.
+   * @returns {Promise<object>} - { success, provider, models: [{ id, name, contextWindow, active, ownedBy }] }, or an error response.
    */
-  async getAvailableModels(provider = "groq") {
+  async listModels(provider, options = {}) {
+    const adapter = this.adapters[provider];
+    const params = { model: null };
+    const { signal, clear } = withTimeout(options.signal, options.timeoutMs);
     try {
-      const response = await fetch(`/api/models?provider=${provider}`);
-      if (response.ok) {
-        return await response.json();
+      const baseUrl = this.getBaseUrl(provider);
+      if (!adapter || !adapter.modelsPath || !adapter.parseModelList) {
+        throw new Error(`Provider ${provider} does not support listing models`);
       }
-      return [];
+      if (!baseUrl) {
+        throw new Error(`No base URL configured for provider ${provider}`);
+      }
+      if (!this.modelManager.isProviderAllowed(provider)) {
+        throw new Error(
+          `Provider "${provider}" is not allowed by the ${this.modelManager.getStrategy()} strategy`
+        );
+      }
+
+      const { response, error } = await this.fetchWithRetry(
+        baseUrl + adapter.modelsPath,
+        {
+          method: "GET",
+          headers: adapter.authHeaders(this.getApiKey(provider)),
+          signal,
+        }
+      );
+      if (error) {
+        throw new ProviderUnavailable(error.message, {
+          provider,
+          cause: error,
+        });
+      }
+      if (!response.ok) {
+        return {
+          ...(await this.createProviderErrorResponse(
+            provider,
+            response,
+            params
+          )),
+          provider,
+        };
+      }
+      return {
+        success: true,
+        provider,
+        models: adapter.parseModelList(await response.json()),
+      };
     } catch (error) {
-      console.error("Error fetching available models:", error);
+      if (error instanceof CassetteMissError) throw error;
+      const abortType = getAbortType(signal);
+      if (abortType) {
+        return {
+          ...this.createAbortResponse(abortType, signal, params),
+          provider,
+        };
+      }
+      return {
+        ...this.createErrorResponse(
+          this.toLLMError(error, params, provider),
+          error.message,
+          params
+        ),
+        provider,
+      };
+    } finally {
+      clear();
+    }
+  }
+
+  /**
+   * Get the IDs of the active models a provider currently serves.
+   * @param {string} provider - Provider name (default: groq).
+   * @param {object} options - Optional { signal, timeoutMs }.
+   * @returns {Promise<Array<string>>} - Model IDs (empty if the listing failed).
+   */
+  async getAvailableModels(provider = "groq", options = {}) {
+    const result = await this.listModels(provider, options);
+    if (!result.success) {
+      console.error("Error fetching available models:", result.error);
       return [];
     }
+    return result.models
+      .filter((model) => model.active)
+      .map((model) => model.id);
   }
 
   /**
@@ -207,7 +1220,29 @@ export class LLMClient {
    * Get the endpoint for a provider.
    */
   getEndpoint(provider) {
-    return this.endpoints[provider];
+    return this.endpoints[provider] || this.adapters[provider]?.endpoint;
+  }
+
+  /**
+   * Set the API base URL for a provider (e.g. "http://localhost:8080/v1" for a
+   * llama.cpp server). The chat endpoint is derived from it.
+   * @param {string} provider - Provider name.
+   * @param {string} baseUrl - Base URL, with or without a trailing slash.
+   */
+  setBaseUrl(provider, baseUrl) {
+    const trimmed = baseUrl.replace(/\/+$/, "");
+    const chatPath = this.adapters[provider]?.chatPath || "/chat/completions";
+    this.baseUrls[provider] = trimmed;
+    this.endpoints[provider] = trimmed + chatPath;
+  }
+
+  /**
+   * Get the API base URL for a provider.
+   * @param {string} provider - Provider name.
+   * @returns {string|null} - Base URL.
+   */
+  getBaseUrl(provider) {
+    return this.baseUrls[provider] || this.adapters[provider]?.baseUrl || null;
   }
 }
 
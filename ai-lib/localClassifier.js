@@ -0,0 +1,341 @@
+// Local Classifier Library
+// This module classifies queries into task types offline with a naive Bayes model trained on labeled examples.
+// Query terms are weighted by TF-IDF; the model is plain JSON, so it can be saved to disk and loaded at startup.
+
+import { TASK_TYPES, tokenize, stemWord } from "./taskClassifier.js";
+
+// Default classifier options
+export const DEFAULT_LOCAL_CLASSIFIER_OPTIONS = {
+  alpha: 1, // Laplace smoothing added to every term count
+  minConfidence: 0.6, // Predictions less probable than this are not used
+  bigrams: true, // Also use pairs of neighbouring words as terms
+};
+
+// Version of the state format written by exportState
+const STATE_VERSION = 1;
+
+/**
+ * Create a lookup table without a prototype, so terms taken from user text
+ * (e.g. "constructor" or "__proto__") never hit inherited properties.
+ */
+function dictionary(entries = {}) {
+  return Object.assign(Object.create(null), entries);
+}
+
+/**
+ * Get a number stored in a lookup table (0 if it is missing).
+ */
+function lookup(table, key) {
+  return Object.hasOwn(table, key) ? table[key] : 0;
+}
+
+/**
+ * Create an empty model.
+ */
+function emptyModel() {
+  return {
+    docCount: 0,
+    taskDocs: dictionary(), // Examples per task
+    termCounts: dictionary(), // Per task: weighted count of each term
+    termTotals: dictionary(), // Per task: sum of its term counts
+    docFrequency: dictionary(), // Examples containing each term
+  };
+}
+
+// Local classifier class: a TF-IDF weighted multinomial naive Bayes model over task types
+export class LocalClassifier {
+  /**
+   * Construct a new LocalClassifier.
+   * @param {object} options - Classifier options (see DEFAULT_LOCAL_CLASSIFIER_OPTIONS), and
+   *   taskTypes: the task types examples may name (default: TASK_TYPES; pass
+   *   TaskClassifier.getTaskTypes() to include its custom tasks).
+   */
+  constructor(options = {}) {
+    const { taskTypes, ...classifierOptions } = options;
+    this.options = {
+      ...DEFAULT_LOCAL_CLASSIFIER_OPTIONS,
+      ...classifierOptions,
+    };
+    this.taskTypes = taskTypes || TASK_TYPES;
+    this.model = emptyModel();
+  }
+
+  /**
+   * Update classifier options (e.g. minConfidence); the trained model is kept.
+   * @param {object} options - Options to change.
+   */
+  setOptions(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Get the terms of a text with their counts: word stems and, with the
+   * bigrams option, pairs of neighbouring stems.
+   * @param {string} text - Text to split.
+   * @returns {Map<string, number>} - Term counts.
+   */
+  getTerms(text) {
+    const stems = tokenize(text).map(stemWord);
+    const terms = [...stems];
+    if (this.options.bigrams) {
+      for (let i = 1; i < stems.length; i++) {
+        terms.push(`${stems[i - 1]} ${stems[i]}`);
+      }
+    }
+    const counts = new Map();
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Add labeled examples to the model. Training is incremental, so more
+   * examples can be added later. Tasks must be in the classifier's task types
+   * (see the taskTypes option).
+   * @param {Array<object>} examples - { query, task } pairs.
+   * @returns {object} - { trained, skipped } (skipped lists { index, reason } for unusable examples).
+   */
+  train(examples) {
+    const model = this.model;
+    const skipped = [];
+    let trained = 0;
+    examples.forEach((example, index) => {
+      const { query, task } = example || {};
+      if (typeof query !== "string" || !query.trim()) {
+        skipped.push({ index, reason: "Missing query" });
+        return;
+      }
+      if (!Object.hasOwn(this.taskTypes, task)) {
+        skipped.push({ index, reason: `Unknown task type "${task}"` });
+        return;
+      }
+      model.docCount++;
+      model.taskDocs[task] = lookup(model.taskDocs, task) + 1;
+      if (!Object.hasOwn(model.termCounts, task)) {
+        model.termCounts[task] = dictionary();
+      }
+      const termCounts = model.termCounts[task];
+      model.termTotals[task] = lookup(model.termTotals, task);
+      for (const [term, count] of this.getTerms(query)) {
+        // Sublinear term frequency, so a repeated word doesn't dominate
+        const weight = 1 + Math.log(count);
+        termCounts[term] = lookup(termCounts, term) + weight;
+        model.termTotals[task] += weight;
+        model.docFrequency[term] = lookup(model.docFrequency, term) + 1;
+      }
+      trained++;
+    });
+    return { trained, skipped };
+  }
+
+  /**
+   * Read labeled examples from a JSONL file (one { query, task } object per line).
+   * @param {string} path - File to read.
+   * @returns {Promise<Array<object>>} - The examples.
+   * @throws {Error} - If a line is not valid JSON.
+   */
+  async readExamples(path) {
+    const { readFile } = await import("node:fs/promises");
+    const lines = (await readFile(path, "utf8")).split("\n");
+    const examples = [];
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        examples.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(
+          `Invalid JSON on line ${index + 1} of ${path}: ${error.message}`
+        );
+      }
+    });
+    return examples;
+  }
+
+  /**
+   * Train on a JSONL file of { query, task } pairs (see train).
+   * @param {string} path - File to read.
+   * @returns {Promise<object>} - { trained, skipped }.
+   */
+  async trainFromFile(path) {
+    return this.train(await this.readExamples(path));
+  }
+
+  /**
+   * Check whether the model has been trained.
+   * @returns {boolean}
+   */
+  isTrained() {
+    return this.model.docCount > 0;
+  }
+
+  /**
+   * Rank the trained tasks for a query. Tasks no longer in the classifier's task types are left out.
+   * @param {string} queryText - The query.
+   * @returns {Array<object>} - { task, probability } entries, most probable first
+   *   (empty if the model is untrained or knows none of the query's words).
+   */
+  predict(queryText) {
+    const { alpha } = this.options;
+    const model = this.model;
+    const tasks = Object.keys(model.taskDocs).filter((task) =>
+      Object.hasOwn(this.taskTypes, task)
+    );
+    if (tasks.length === 0) {
+      return [];
+    }
+    const vocabularySize = Object.keys(model.docFrequency).length;
+    // Query terms seen in training, weighted by TF-IDF
+    const weights = [];
+    for (const [term, count] of this.getTerms(queryText)) {
+      const documents = lookup(model.docFrequency, term);
+      if (!documents) continue;
+      const idf = Math.log((model.docCount + 1) / (documents + 1)) + 1;
+      weights.push([term, (1 + Math.log(count)) * idf]);
+    }
+    // Without known terms only the class priors would decide
+    if (weights.length === 0) {
+      return [];
+    }
+
+    const logScores = tasks.map((task) => {
+      let score = Math.log(
+        (model.taskDocs[task] + alpha) / (model.docCount + alpha * tasks.length)
+      );
+      const denominator =
+        lookup(model.termTotals, task) + alpha * vocabularySize;
+      for (const [term, weight] of weights) {
+        const count = lookup(model.termCounts[task], term);
+        score += weight * Math.log((count + alpha) / denominator);
+      }
+      return score;
+    });
+
+    // Softmax over the log scores
+    const max = Math.max(...logScores);
+    const exps = logScores.map((score) => Math.exp(score - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+    return tasks
+      .map((task, i) => ({ task, probability: exps[i] / sum }))
+      .sort((a, b) => b.probability - a.probability);
+  }
+
+  /**
+   * Classify a query.
+   * @param {string} queryText - The query.
+   * @returns {object|null} - { task, confidence, ranking }, or null if the model is
+   *   untrained or the best task's probability is below minConfidence (or not a number,
+   *   e.g. from a corrupt saved model).
+   */
+  classify(queryText) {
+    const ranking = this.predict(queryText);
+    const [best] = ranking;
+    if (
+      !best ||
+      !Number.isFinite(best.probability) ||
+      best.probability < this.options.minConfidence
+    ) {
+      return null;
+    }
+    return { task: best.task, confidence: best.probability, ranking };
+  }
+
+  /**
+   * Measure accuracy on labeled examples (e.g. a held-out part of the training data).
+   * @param {Array<object>} examples - { query, task } pairs.
+   * @returns {object} - { total, correct, accuracy, unclassified } (unclassified
+   *   counts examples below minConfidence, which are not correct).
+   */
+  evaluate(examples) {
+    let correct = 0;
+    let unclassified = 0;
+    for (const { query, task } of examples) {
+      const result = this.classify(query);
+      if (!result) {
+        unclassified++;
+      } else if (result.task === task) {
+        correct++;
+      }
+    }
+    return {
+      total: examples.length,
+      correct,
+      accuracy: examples.length > 0 ? correct / examples.length : 0,
+      unclassified,
+    };
+  }
+
+  /**
+   * Forget everything learned.
+   */
+  reset() {
+    this.model = emptyModel();
+  }
+
+  /**
+   * Get the trained model as plain JSON data (to store anywhere).
+   * @returns {object} - { version, bigrams, model }.
+   */
+  exportState() {
+    return {
+      version: STATE_VERSION,
+      bigrams: this.options.bigrams,
+      model: structuredClone(this.model),
+    };
+  }
+
+  /**
+   * Replace the model with data from exportState.
+   * @param {object} state - { version, bigrams, model }.
+   */
+  importState(state) {
+    if (!state || state.version !== STATE_VERSION) {
+      throw new Error(
+        `Unsupported local classifier state version: ${state?.version}`
+      );
+    }
+    // Terms must be built the same way as in training
+    this.options.bigrams = state.bigrams;
+    const model = state.model || {};
+    const termCounts = dictionary();
+    for (const [task, counts] of Object.entries(model.termCounts || {})) {
+      termCounts[task] = dictionary(counts);
+    }
+    this.model = {
+      docCount: model.docCount || 0,
+      taskDocs: dictionary(model.taskDocs),
+      termCounts,
+      termTotals: dictionary(model.termTotals),
+      docFrequency: dictionary(model.docFrequency),
+    };
+  }
+
+  /**
+   * Save the trained model to a JSON file.
+   * @param {string} path - File to write.
+   * @returns {Promise<void>}
+   */
+  async saveState(path) {
+    const { writeFile } = await import("node:fs/promises");
+    await writeFile(path, JSON.stringify(this.exportState()) + "\n");
+  }
+
+  /**
+   * Load a model from a JSON file written by saveState. A missing file leaves
+   * the model untrained.
+   * @param {string} path - File to read.
+   * @returns {Promise<boolean>} - Whether a saved model was loaded.
+   */
+  async loadState(path) {
+    const { readFile } = await import("node:fs/promises");
+    let data;
+    try {
+      data = await readFile(path, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+    this.importState(JSON.parse(data));
+    return true;
+  }
+}
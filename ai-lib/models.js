@@ -2,6 +2,10 @@
 // This module provides a plug-and-play interface for different AI models
 // It defines available models, their capabilities, and strategies for model selection.
 
+import { AdaptiveRouter } from "./adaptiveRouter.js";
+import { validateSchema } from "./schemaValidator.js";
+import { ModelNotFound } from "./errors.js";
+
 // Text length thresholds for model selection (used for complexity analysis)
 export const TEXT_LENGTH_THRESHOLDS = {
   SHORT: 100, // 0-100 characters: use smaller models
@@ -13,15 +17,19 @@ export const TEXT_LENGTH_THRESHOLDS = {
 // Model registry - defines all available models and their properties
 export const MODEL_REGISTRY = {
   // Groq Cloud Models
+  // Retired by Groq: kept so saved settings still resolve, redirecting to their replacements
   "llama3-8b-8192": {
     provider: "groq",
     name: "Llama 3 8B",
     maxTokens: 8192,
-    costPer1kTokens: 0.00005, // USD
+    deprecated: true,
+    sunsetDate: "2025-08-30",
+    replacement: "llama-3.1-8b-instant",
+    pricing: { input: 0.05, output: 0.08 }, // USD per 1M tokens (cachedInput: prompt cache hits)
     speed: "fast",
     quality: "good",
     bestFor: ["short", "medium"],
-    capabilities: ["chat", "analysis", "summarization"],
+    capabilities: ["chat", "analysis", "summarization", "tools"],
     contextConfig: {
       maxContextMessages: 3,
       maxTokens: 4000,
@@ -32,11 +40,21 @@ export const MODEL_REGISTRY = {
     provider: "groq",
     name: "Llama 3 70B",
     maxTokens: 8192,
-    costPer1kTokens: 0.00059, // USD
+    deprecated: true,
+    sunsetDate: "2025-08-30",
+    replacement: "llama-3.3-70b-versatile",
+    pricing: { input: 0.59, output: 0.79 },
     speed: "medium",
     quality: "excellent",
     bestFor: ["medium", "long", "very_long"],
-    capabilities: ["chat", "analysis", "summarization", "creation", "ideation"],
+    capabilities: [
+      "chat",
+      "analysis",
+      "summarization",
+      "creation",
+      "ideation",
+      "tools",
+    ],
     contextConfig: {
       maxContextMessages: 6,
       maxTokens: 8000,
@@ -47,7 +65,10 @@ export const MODEL_REGISTRY = {
     provider: "groq",
     name: "Mixtral 8x7B",
     maxTokens: 32768,
-    costPer1kTokens: 0.00024, // USD
+    deprecated: true,
+    sunsetDate: "2025-03-20",
+    replacement: "llama-3.3-70b-versatile",
+    pricing: { input: 0.24, output: 0.24 },
     speed: "medium",
     quality: "excellent",
     bestFor: ["long", "very_long"],
@@ -58,6 +79,7 @@ export const MODEL_REGISTRY = {
       "creation",
       "ideation",
       "conversion",
+      "tools",
     ],
     contextConfig: {
       maxContextMessages: 8,
@@ -65,11 +87,64 @@ export const MODEL_REGISTRY = {
       contextStrategy: "comprehensive",
     },
   },
+  "llama-3.1-8b-instant": {
+    provider: "groq",
+    name: "Llama 3.1 8B Instant",
+    maxTokens: 131072,
+    pricing: { input: 0.05, output: 0.08 },
+    speed: "fast",
+    quality: "good",
+    bestFor: ["short", "medium"],
+    capabilities: ["chat", "analysis", "summarization", "tools"],
+    contextConfig: {
+      maxContextMessages: 4,
+      maxTokens: 8000,
+      contextStrategy: "recent",
+    },
+  },
+  "llama-3.3-70b-versatile": {
+    provider: "groq",
+    name: "Llama 3.3 70B Versatile",
+    maxTokens: 131072,
+    pricing: { input: 0.59, output: 0.79 },
+    speed: "medium",
+    quality: "excellent",
+    bestFor: ["medium", "long", "very_long"],
+    capabilities: [
+      "chat",
+      "analysis",
+      "summarization",
+      "creation",
+      "ideation",
+      "conversion",
+      "tools",
+    ],
+    contextConfig: {
+      maxContextMessages: 8,
+      maxTokens: 16000,
+      contextStrategy: "smart",
+    },
+  },
+  "meta-llama/llama-4-scout-17b-16e-instruct": {
+    provider: "groq",
+    name: "Llama 4 Scout",
+    maxTokens: 131072,
+    pricing: { input: 0.11, output: 0.34 },
+    speed: "fast",
+    quality: "good",
+    bestFor: ["short", "medium", "long"],
+    capabilities: ["chat", "analysis", "summarization", "tools", "vision"],
+    contextConfig: {
+      maxContextMessages: 6,
+      maxTokens: 16000,
+      contextStrategy: "smart",
+    },
+  },
   "gpt-4": {
     provider: "openai",
     name: "GPT-4",
     maxTokens: 8192,
-    costPer1kTokens: 0.03, // USD (input)
+    pricing: { input: 30, output: 60 },
     speed: "medium",
     quality: "excellent",
     bestFor: ["medium", "long", "very_long"],
@@ -80,6 +155,7 @@ export const MODEL_REGISTRY = {
       "creation",
       "ideation",
       "conversion",
+      "tools",
     ],
     contextConfig: {
       maxContextMessages: 10,
@@ -89,9 +165,10 @@ export const MODEL_REGISTRY = {
   },
   "claude-3-sonnet": {
     provider: "anthropic",
+    apiModel: "claude-3-sonnet-20240229", // Full model name sent to the Anthropic API
     name: "Claude 3 Sonnet",
     maxTokens: 200000,
-    costPer1kTokens: 0.03, // USD
+    pricing: { input: 3, output: 15, cachedInput: 0.3 },
     speed: "medium",
     quality: "excellent",
     bestFor: ["long", "very_long"],
@@ -102,6 +179,8 @@ export const MODEL_REGISTRY = {
       "creation",
       "ideation",
       "conversion",
+      "tools",
+      "vision",
     ],
     contextConfig: {
       maxContextMessages: 12,
@@ -109,78 +188,876 @@ export const MODEL_REGISTRY = {
       contextStrategy: "comprehensive",
     },
   },
+  // Local models (Ollama / llama.cpp server via the "local" provider)
+  "llama3.1:8b": {
+    provider: "local",
+    name: "Llama 3.1 8B (local)",
+    maxTokens: 8192, // Ollama's default num_ctx is smaller; raise it on the server if needed
+    pricing: { input: 0, output: 0 }, // Runs on your own hardware
+    speed: "medium",
+    quality: "good",
+    bestFor: ["short", "medium", "long", "very_long"],
+    capabilities: [
+      "chat",
+      "analysis",
+      "summarization",
+      "creation",
+      "ideation",
+      "conversion",
+      "tools",
+    ],
+    contextConfig: {
+      maxContextMessages: 4,
+      maxTokens: 4000,
+      contextStrategy: "recent",
+    },
+  },
+  // Embedding models (type: "embedding"; used by LLMClient.embed, never for chat)
+  "text-embedding-3-small": {
+    provider: "openai",
+    type: "embedding",
+    name: "OpenAI Text Embedding 3 Small",
+    maxTokens: 8191, // Per input text
+    dimensions: 1536,
+    maxBatchSize: 2048, // Inputs per request
+    maxBatchTokens: 300000, // Tokens per request
+    pricing: { input: 0.02, output: 0 },
+    capabilities: ["embedding"],
+  },
+  "text-embedding-3-large": {
+    provider: "openai",
+    type: "embedding",
+    name: "OpenAI Text Embedding 3 Large",
+    maxTokens: 8191,
+    dimensions: 3072,
+    maxBatchSize: 2048,
+    maxBatchTokens: 300000,
+    pricing: { input: 0.13, output: 0 },
+    capabilities: ["embedding"],
+  },
+  "nomic-embed-text": {
+    provider: "local",
+    type: "embedding",
+    name: "Nomic Embed Text (local)",
+    maxTokens: 8192,
+    dimensions: 768,
+    maxBatchSize: 256,
+    pricing: { input: 0, output: 0 }, // Runs on your own hardware
+    capabilities: ["embedding"],
+  },
+};
+
+// Schema registry entries are validated against (see validateModelConfig).
+// Chat models also need a contextConfig; embedding models (type: "embedding") don't.
+export const MODEL_CONFIG_SCHEMA = {
+  type: "object",
+  required: ["provider", "maxTokens", "pricing", "capabilities"],
+  properties: {
+    provider: { type: "string", minLength: 1 },
+    type: { enum: ["chat", "embedding"] },
+    name: { type: "string" },
+    apiModel: { type: "string", minLength: 1 },
+    maxTokens: { type: "integer", minimum: 1 }, // Context window
+    pricing: {
+      type: "object",
+      required: ["input", "output"],
+      properties: {
+        input: { type: "number", minimum: 0 },
+        output: { type: "number", minimum: 0 },
+        cachedInput: { type: "number", minimum: 0 },
+      },
+      additionalProperties: false,
+    },
+    costPer1kTokens: { type: "number", minimum: 0 }, // Legacy single price
+    speed: { enum: ["slow", "medium", "fast"] },
+    quality: { enum: ["basic", "good", "excellent"] },
+    bestFor: {
+      type: "array",
+      items: { enum: ["short", "medium", "long", "very_long"] },
+    },
+    capabilities: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", minLength: 1 },
+    },
+    contextConfig: {
+      type: "object",
+      required: ["maxContextMessages", "maxTokens", "contextStrategy"],
+      properties: {
+        maxContextMessages: { type: "integer", minimum: 0 },
+        maxTokens: { type: "integer", minimum: 1 },
+        // Values of CONTEXT_STRATEGIES in contextManager.js
+        contextStrategy: {
+          enum: ["recent", "smart", "comprehensive", "minimal"],
+        },
+      },
+    },
+    dimensions: { type: "integer", minimum: 1 },
+    maxBatchSize: { type: "integer", minimum: 1 },
+    maxBatchTokens: { type: "integer", minimum: 1 },
+    available: { type: "boolean" },
+    deprecated: { type: "boolean" },
+    sunsetDate: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}" }, // ISO date, e.g. "2025-01-31"
+    replacement: { type: "string", minLength: 1 }, // Model ID or alias to use after the sunset date
+  },
+};
+
+/**
+ * Validate a model registry entry against MODEL_CONFIG_SCHEMA.
+ * @param {object} config - The model configuration.
+ * @returns {Array<string>} - Validation errors (empty if the entry is valid).
+ */
+export function validateModelConfig(config) {
+  const required = [...MODEL_CONFIG_SCHEMA.required];
+  if (config && config.type !== "embedding") {
+    required.push("contextConfig");
+  }
+  // Custom models may still declare a single legacy price instead of pricing
+  if (config && config.costPer1kTokens !== undefined && !config.pricing) {
+    required.splice(required.indexOf("pricing"), 1);
+  }
+  return validateSchema(config, { ...MODEL_CONFIG_SCHEMA, required });
+}
+
+/**
+ * Throw if a model registry entry is invalid.
+ * @param {string} modelId - Model ID (for the error message).
+ * @param {object} config - The model configuration.
+ * @throws {Error} - Listing every validation error.
+ */
+function assertValidModelConfig(modelId, config) {
+  const errors = validateModelConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration for model "${modelId}": ${errors.join("; ")}`
+    );
+  }
+}
+
+// Embedding model used when a strategy doesn't name one (embeddingModel)
+export const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small";
+
+// Successors for registry models that providers have retired (used by catalog sync)
+export const MODEL_REPLACEMENTS = {
+  "llama3-8b-8192": "llama-3.1-8b-instant",
+  "llama3-70b-8192": "llama-3.3-70b-versatile",
+  "mixtral-8x7b-32768": "llama-3.3-70b-versatile",
+};
+
+// Stable names for the roles models play in the strategy tables below. When a
+// provider renames a model, point its alias at the new ID here (or per manager
+// with ModelManager.setAlias) instead of editing every table.
+export const MODEL_ALIASES = {
+  "fast-small": "llama-3.1-8b-instant",
+  "smart-large": "llama-3.3-70b-versatile",
+  "long-context": "llama-3.3-70b-versatile",
+  premium: "claude-3-sonnet",
+  "premium-alt": "gpt-4",
+  vision: "meta-llama/llama-4-scout-17b-16e-instruct",
+  "local-small": "llama3.1:8b",
 };
 
 // Default model mappings for different complexity levels
 // Used to select a model based on the complexity of the user query
 export const DEFAULT_MODELS = {
-  SHORT: "llama3-8b-8192",
-  MEDIUM: "llama3-70b-8192",
-  LONG: "mixtral-8x7b-32768",
-  VERY_LONG: "llama3-70b-8192",
+  SHORT: "fast-small",
+  MEDIUM: "smart-large",
+  LONG: "long-context",
+  VERY_LONG: "smart-large",
 };
 
 // Model selection strategies for different optimization goals
 export const MODEL_SELECTION_STRATEGIES = {
   // Cost-optimized: prioritize cheaper models
   COST_OPTIMIZED: {
-    SHORT: "llama3-8b-8192",
-    MEDIUM: "llama3-8b-8192",
-    LONG: "llama3-70b-8192",
-    VERY_LONG: "llama3-70b-8192",
+    SHORT: "fast-small",
+    MEDIUM: "fast-small",
+    LONG: "smart-large",
+    VERY_LONG: "smart-large",
+    // Ordered models to try when the tier's model fails (outage, decommissioned model...)
+    fallbacks: {
+      SHORT: ["smart-large", "long-context"],
+      MEDIUM: ["smart-large", "long-context"],
+      LONG: ["long-context", "fast-small"],
+      VERY_LONG: ["long-context", "fast-small"],
+    },
   },
   // Quality-optimized: prioritize better models
   QUALITY_OPTIMIZED: {
-    SHORT: "llama3-70b-8192",
-    MEDIUM: "llama3-70b-8192",
-    LONG: "mixtral-8x7b-32768",
-    VERY_LONG: "claude-3-sonnet",
+    SHORT: "smart-large",
+    MEDIUM: "smart-large",
+    LONG: "long-context",
+    VERY_LONG: "premium",
+    fallbacks: {
+      SHORT: ["premium", "premium-alt"],
+      MEDIUM: ["premium", "premium-alt"],
+      LONG: ["premium", "smart-large"],
+      VERY_LONG: ["premium-alt", "smart-large"],
+    },
   },
   // Speed-optimized: prioritize faster models
   SPEED_OPTIMIZED: {
-    SHORT: "llama3-8b-8192",
-    MEDIUM: "llama3-8b-8192",
-    LONG: "llama3-8b-8192",
-    VERY_LONG: "llama3-70b-8192",
+    SHORT: "fast-small",
+    MEDIUM: "fast-small",
+    LONG: "fast-small",
+    VERY_LONG: "smart-large",
+    fallbacks: {
+      SHORT: ["smart-large", "long-context"],
+      MEDIUM: ["smart-large", "long-context"],
+      LONG: ["smart-large", "long-context"],
+      VERY_LONG: ["fast-small", "long-context"],
+    },
   },
   // Balanced: good balance of cost, quality, and speed
   BALANCED: {
-    SHORT: "llama3-8b-8192",
-    MEDIUM: "llama3-70b-8192",
-    LONG: "mixtral-8x7b-32768",
-    VERY_LONG: "llama3-70b-8192",
+    SHORT: "fast-small",
+    MEDIUM: "smart-large",
+    LONG: "long-context",
+    VERY_LONG: "smart-large",
+    fallbacks: {
+      SHORT: ["smart-large", "premium"],
+      MEDIUM: ["long-context", "premium"],
+      LONG: ["smart-large", "premium"],
+      VERY_LONG: ["long-context", "premium"],
+    },
+  },
+  // Local-only: never route to a remote provider, so data stays on the machine
+  LOCAL_ONLY: {
+    SHORT: "local-small",
+    MEDIUM: "local-small",
+    LONG: "local-small",
+    VERY_LONG: "local-small",
+    embeddingModel: "nomic-embed-text",
+    allowedProviders: ["local"],
   },
+  // Adaptive: learns which of each tier's models works best per task from
+  // observed latency, errors, cost and feedback (see adaptiveRouter.js).
+  // The tier's model comes first until the others have been tried.
+  ADAPTIVE: {
+    SHORT: "fast-small",
+    MEDIUM: "smart-large",
+    LONG: "long-context",
+    VERY_LONG: "smart-large",
+    fallbacks: {
+      SHORT: ["smart-large", "long-context"],
+      MEDIUM: ["fast-small", "long-context", "premium"],
+      LONG: ["smart-large", "premium"],
+      VERY_LONG: ["long-context", "premium", "premium-alt"],
+    },
+    adaptive: true,
+  },
+};
+
+// Scores (0-1) for the registry's speed and quality ratings, used by scoring strategies
+export const SPEED_SCORES = { slow: 0.3, medium: 0.6, fast: 1 };
+export const QUALITY_SCORES = { basic: 0.3, good: 0.6, excellent: 1 };
+
+// Capability a model needs to be a good fit for each task type
+export const TASK_CAPABILITIES = {
+  LLM_Summary: "summarization",
+  LLM_Creation: "creation",
+  LLM_Ideation: "ideation",
+  LLM_Analysis: "analysis",
+  LLM_Converter: "conversion",
+  LLM_Default: "chat",
 };
 
+// Built-in scoring terms for scoring strategies. Each maps a model
+// ({ id, ...registry config, pricing }) and the request ({ complexity, task })
+// to a score from 0 (worst) to 1 (best).
+export const MODEL_SCORERS = {
+  quality: (model) => QUALITY_SCORES[model.quality] ?? 0.5,
+  speed: (model) => SPEED_SCORES[model.speed] ?? 0.5,
+  // Halves at $1 per 1M tokens (average of input and output prices)
+  cost: (model) => 1 / (1 + (model.pricing.input + model.pricing.output) / 2),
+  // The registry's bestFor lists the complexity tiers a model suits
+  fit: (model, request) =>
+    request.complexity &&
+    (model.bestFor || []).includes(request.complexity.toLowerCase())
+      ? 1
+      : 0,
+  task: (model, request) =>
+    !request.task ||
+    (model.capabilities || []).includes(TASK_CAPABILITIES[request.task])
+      ? 1
+      : 0,
+  // Full score at 128K tokens
+  context: (model) => Math.min(1, (model.maxTokens || 0) / 131072),
+};
+
+// Fallbacks kept after the top-ranked model of a scoring strategy
+export const DEFAULT_SCORED_FALLBACK_COUNT = 2;
+
+/**
+ * Define a scoring strategy: instead of a fixed table, every request ranks the
+ * eligible registry models by a weighted sum of scoring terms. The strategy is
+ * only returned; add it to a manager with ModelManager.defineStrategy (or the
+ * strategies option) to route with it.
+ * @param {string} name - Strategy name (for error messages).
+ * @param {object} definition - Strategy definition.
+ * @param {object} definition.weights - Weight per scoring term, e.g. { quality: 2, cost: 1 } (see MODEL_SCORERS).
+ * @param {object} definition.scorers - Extra scoring terms: { name: (model, request) => 0-1 }.
+ * @param {Array<string>} definition.capabilities - Capabilities every model must have.
+ * @param {number} definition.minContextWindow - Smallest context window (maxTokens) allowed.
+ * @param {Array<string>} definition.allowedProviders - Providers models may come from (default: all).
+ * @param {number} definition.fallbackCount - Ranked models to fall back to (default: 2).
+ * @param {string} definition.embeddingModel - Embedding model for the strategy.
+ * @returns {object} - The strategy.
+ * @throws {Error} - If a weight is not a non-negative number or has no scorer.
+ */
+export function defineStrategy(name, definition = {}) {
+  const weights = definition.weights || {};
+  const scorers = { ...MODEL_SCORERS, ...definition.scorers };
+  if (Object.keys(weights).length === 0) {
+    throw new Error(`Strategy "${name}" needs at least one weight`);
+  }
+  for (const [term, weight] of Object.entries(weights)) {
+    if (typeof weight !== "number" || weight < 0) {
+      throw new Error(
+        `Weight for "${term}" in strategy "${name}" must be a non-negative number`
+      );
+    }
+    if (typeof scorers[term] !== "function") {
+      throw new Error(
+        `Unknown scoring term "${term}" in strategy "${name}" (add it to scorers)`
+      );
+    }
+  }
+  return {
+    weights: { ...weights },
+    scorers: definition.scorers || {},
+    capabilities: definition.capabilities || [],
+    minContextWindow: definition.minContextWindow || 0,
+    allowedProviders: definition.allowedProviders,
+    fallbackCount: definition.fallbackCount ?? DEFAULT_SCORED_FALLBACK_COUNT,
+    embeddingModel: definition.embeddingModel,
+  };
+}
+
 // ModelManager class: handles model selection and config lookup
 export class ModelManager {
   /**
    * Construct a new ModelManager with a given strategy.
    * @param {string} strategy - Model selection strategy (default: BALANCED).
+   * @param {object} options - Manager options.
+   * @param {object} options.registry - Model registry to start from (default: MODEL_REGISTRY). It is copied,
+   *   so models added to one manager never leak into another.
+   * @param {AdaptiveRouter} options.adaptiveRouter - Router used by the ADAPTIVE strategy.
+   * @param {object} options.aliases - Model aliases (default: MODEL_ALIASES), also copied.
+   * @param {function} options.now - Clock returning a Date, for sunset dates (for tests).
+   * @param {object} options.strategies - Scoring strategies for this manager only: { name: definition } (see defineStrategy).
+   * @throws {Error} - If the strategy is unknown or a registry entry or strategy is invalid.
    */
-  constructor(strategy = "BALANCED") {
-    this.strategy = strategy;
-    this.models =
-      MODEL_SELECTION_STRATEGIES[strategy] ||
-      MODEL_SELECTION_STRATEGIES.BALANCED;
+  constructor(strategy = "BALANCED", options = {}) {
+    // Models replaced in this manager's strategy tables (see remapModel)
+    this.remaps = {};
+    // Strategies added to this manager, alongside MODEL_SELECTION_STRATEGIES
+    this.strategies = {};
+    for (const [name, definition] of Object.entries(options.strategies || {})) {
+      this.defineStrategy(name, definition);
+    }
+    this.setStrategy(strategy);
+    this.aliases = { ...(options.aliases || MODEL_ALIASES) };
+    this.now = options.now || (() => new Date());
+    this.deprecationWarnings = new Set();
+    this.registry = {};
+    for (const [modelId, config] of Object.entries(
+      options.registry || MODEL_REGISTRY
+    )) {
+      this.addModel(modelId, config);
+    }
+    this.adaptiveRouter = options.adaptiveRouter || null;
+  }
+
+  /**
+   * Add a model to this manager's registry (replacing any entry with the same ID).
+   * @param {string} modelId - Model ID.
+   * @param {object} config - Model configuration (validated against MODEL_CONFIG_SCHEMA).
+   * @throws {Error} - If the configuration is invalid.
+   */
+  addModel(modelId, config) {
+    assertValidModelConfig(modelId, config);
+    this.registry[modelId] = structuredClone(config);
+  }
+
+  /**
+   * Change fields of a registered model, e.g. { pricing: { input: 2, output: 8 } }
+   * or { deprecated: true, sunsetDate: "2025-01-31", replacement: "smart-large" }.
+   * Aliases are resolved, but deprecated models are changed rather than redirected.
+   * @param {string} modelId - Model ID or alias.
+   * @param {object} changes - Fields to replace.
+   * @throws {ModelNotFound|Error} - If the model is unknown or the result is invalid.
+   */
+  updateModel(modelId, changes) {
+    const id = this.resolveAlias(modelId);
+    if (!Object.hasOwn(this.registry, id)) {
+      throw new ModelNotFound(
+        `Unknown model "${modelId}" (not in the registry)`,
+        {
+          model: modelId,
+        }
+      );
+    }
+    this.addModel(id, { ...this.registry[id], ...changes });
   }
 
   /**
-   * Get the model for a given complexity level.
+   * Remove a model from this manager's registry.
+   * @param {string} modelId - Model ID.
+   * @returns {boolean} - Whether the model was registered.
+   */
+  removeModel(modelId) {
+    const existed = Object.hasOwn(this.registry, modelId);
+    delete this.registry[modelId];
+    return existed;
+  }
+
+  /**
+   * Check if a model is in this manager's registry.
+   * @param {string} modelId - Model ID or alias.
+   * @returns {boolean}
+   */
+  hasModel(modelId) {
+    return Object.hasOwn(this.registry, this.resolveAlias(modelId));
+  }
+
+  /**
+   * Get the model ID an alias points to (other IDs are returned unchanged).
+   * @param {string} modelId - Model ID or alias.
+   * @returns {string} - Model ID.
+   */
+  resolveAlias(modelId) {
+    return Object.hasOwn(this.aliases, modelId)
+      ? this.aliases[modelId]
+      : modelId;
+  }
+
+  /**
+   * Resolve a model ID or alias to the model to call. Deprecated models log a
+   * warning (once per model) and, after their sunset date, are redirected to
+   * their replacement.
+   * @param {string} modelId - Model ID or alias.
+   * @returns {string} - Model ID (unregistered IDs are returned unchanged).
+   */
+  resolveModel(modelId) {
+    let id = this.resolveAlias(modelId);
+    const seen = new Set([id]);
+    while (this.registry[id]?.deprecated) {
+      const config = this.registry[id];
+      const replacement = config.replacement
+        ? this.resolveAlias(config.replacement)
+        : null;
+      const redirect =
+        this.isPastSunset(config) &&
+        replacement &&
+        Object.hasOwn(this.registry, replacement) &&
+        !seen.has(replacement);
+      this.warnDeprecated(id, config, redirect ? replacement : null);
+      if (!redirect) break;
+      id = replacement;
+      seen.add(id);
+    }
+    return id;
+  }
+
+  /**
+   * Check whether a model's sunset date has passed.
+   * @param {object} config - Model configuration.
+   * @returns {boolean}
+   */
+  isPastSunset(config) {
+    return Boolean(
+      config.sunsetDate && this.now() >= new Date(config.sunsetDate)
+    );
+  }
+
+  /**
+   * Log that a deprecated model was requested (once per model and outcome).
+   */
+  warnDeprecated(modelId, config, redirectedTo) {
+    const key = `${modelId}:${redirectedTo || ""}`;
+    if (this.deprecationWarnings.has(key)) return;
+    this.deprecationWarnings.add(key);
+    const sunset = config.sunsetDate ? ` (sunset ${config.sunsetDate})` : "";
+    if (redirectedTo) {
+      console.warn(
+        `Model "${modelId}" is past its sunset date${sunset}; using "${redirectedTo}" instead`
+      );
+    } else {
+      const replacement = config.replacement
+        ? `; use "${config.replacement}" instead`
+        : "";
+      console.warn(`Model "${modelId}" is deprecated${sunset}${replacement}`);
+    }
+  }
+
+  /**
+   * Point an alias at a model, e.g. setAlias("fast-small", "llama-3.1-8b-instant").
+   * @param {string} alias - Alias name.
+   * @param {string} modelId - Registered model ID.
+   * @throws {ModelNotFound|Error} - If the model is unknown or the alias is a model ID.
+   */
+  setAlias(alias, modelId) {
+    if (Object.hasOwn(this.registry, alias)) {
+      throw new Error(`Alias "${alias}" is already a model ID`);
+    }
+    if (!Object.hasOwn(this.registry, modelId)) {
+      throw new ModelNotFound(
+        `Unknown model "${modelId}" (not in the registry)`,
+        {
+          model: modelId,
+        }
+      );
+    }
+    this.aliases[alias] = modelId;
+  }
+
+  /**
+   * Remove an alias.
+   * @param {string} alias - Alias name.
+   * @returns {boolean} - Whether the alias existed.
+   */
+  removeAlias(alias) {
+    const existed = Object.hasOwn(this.aliases, alias);
+    delete this.aliases[alias];
+    return existed;
+  }
+
+  /**
+   * Get this manager's aliases.
+   * @returns {object} - Map of alias to model ID.
+   */
+  getAliases() {
+    return { ...this.aliases };
+  }
+
+  /**
+   * Get the model for a given complexity level. If catalog sync flagged the
+   * tier's model unavailable, the tier's first usable fallback is returned
+   * instead (or the tier's model, if there is none).
    * @param {string} complexity - Complexity level (SHORT, MEDIUM, etc).
    * @returns {string} - Model ID.
    */
   getModelForComplexity(complexity) {
-    return this.models[complexity] || this.models.SHORT;
+    if (this.isScored()) {
+      return this.getTopRankedModel({ complexity });
+    }
+    const tier = this.models[complexity] ? complexity : "SHORT";
+    const model = this.resolveModel(this.models[tier]);
+    if (!this.hasModel(model) || this.isModelAvailable(model)) {
+      return model;
+    }
+    const fallback = (this.models.fallbacks?.[tier] || [])
+      .map((modelId) => this.resolveModel(modelId))
+      .find((modelId) => this.isModelUsable(modelId));
+    return fallback || model;
   }
 
   /**
-   * Get the configuration for a model by ID.
-   * @param {string} modelId - Model ID.
+   * Check if a model can be routed to: registered, allowed by the strategy
+   * and not flagged unavailable.
+   * @param {string} modelId - Model ID or alias.
+   * @returns {boolean}
+   */
+  isModelUsable(modelId) {
+    return (
+      this.hasModel(modelId) &&
+      this.isModelAllowed(modelId) &&
+      this.isModelAvailable(modelId)
+    );
+  }
+
+  /**
+   * Get the model for a task and complexity. Adaptive strategies ask the
+   * adaptive router to pick among the tier's model and its fallbacks, scoring
+   * strategies rank the registry for the task; other strategies use the tier's model.
+   * @param {string} task - Task type.
+   * @param {string} complexity - Complexity level (SHORT, MEDIUM, etc).
+   * @returns {string} - Model ID.
+   */
+  selectModel(task, complexity) {
+    if (this.isScored()) {
+      return this.getTopRankedModel({ complexity, task });
+    }
+    if (!this.isAdaptive()) {
+      return this.getModelForComplexity(complexity);
+    }
+    const { expectedTokens } = this.getAdaptiveRouter().options;
+    const model = this.getAdaptiveRouter().selectModel({
+      task,
+      complexity,
+      candidates: this.getFallbackChain(complexity),
+      estimateCost: (modelId) =>
+        this.estimateCost(modelId, expectedTokens.input, expectedTokens.output),
+    });
+    console.log(`Adaptive routing chose ${model} for ${task}/${complexity}`);
+    return model;
+  }
+
+  /**
+   * Check if the current strategy learns its model choices (ADAPTIVE).
+   * @returns {boolean}
+   */
+  isAdaptive() {
+    return Boolean(this.models.adaptive);
+  }
+
+  /**
+   * Check if the current strategy ranks registry models by score (see defineStrategy).
+   * @returns {boolean}
+   */
+  isScored() {
+    return Boolean(this.models.weights);
+  }
+
+  /**
+   * Rank the registry's chat models for a request under the current scoring
+   * strategy. Models that are not allowed, unavailable, lack a required
+   * capability (the strategy's or the request's) or have a smaller context
+   * window than minContextWindow are left out.
+   * @param {object} request - { complexity, task, capabilities }.
+   * @returns {Array<object>} - { model, score, scores } entries, best first (ties keep registry order).
+   */
+  rankModels(request = {}) {
+    const { weights, minContextWindow } = this.models;
+    const scorers = { ...MODEL_SCORERS, ...this.models.scorers };
+    const required = [
+      ...(this.models.capabilities || []),
+      ...(request.capabilities || []),
+    ];
+    const totalWeight =
+      Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+    return Object.entries(this.registry)
+      .filter(
+        ([modelId, config]) =>
+          config.type !== "embedding" &&
+          !(config.deprecated && this.isPastSunset(config)) &&
+          this.isModelAllowed(modelId) &&
+          this.isModelAvailable(modelId) &&
+          (config.maxTokens || 0) >= (minContextWindow || 0) &&
+          required.every((capability) =>
+            (config.capabilities || []).includes(capability)
+          )
+      )
+      .map(([modelId, config]) => {
+        const model = {
+          id: modelId,
+          ...config,
+          pricing: this.getPricing(modelId),
+        };
+        const scores = {};
+        let score = 0;
+        for (const [term, weight] of Object.entries(weights)) {
+          scores[term] = scorers[term](model, request);
+          score += weight * scores[term];
+        }
+        return { model: modelId, score: score / totalWeight, scores };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Get the best-ranked model for a request under the current scoring strategy.
+   * @param {object} request - { complexity, task, capabilities }.
+   * @returns {string} - Model ID.
+   * @throws {Error} - If no registry model meets the strategy's constraints.
+   */
+  getTopRankedModel(request) {
+    const [best] = this.rankModels(request);
+    if (!best) {
+      throw new Error(
+        `No registry model meets the constraints of strategy "${this.strategy}"`
+      );
+    }
+    return best.model;
+  }
+
+  /**
+   * Build the fallback chain of a scoring strategy: the primary model, then
+   * the next best-ranked models (see getFallbackChain).
+   */
+  getScoredFallbackChain(complexity, primaryModel, options = {}) {
+    const request = { complexity, task: options.task };
+    let ranked = this.rankModels({
+      ...request,
+      capabilities: options.capabilities,
+    });
+    if (ranked.length === 0) {
+      // No model has the capabilities: rank without them
+      ranked = this.rankModels(request);
+    }
+    const modelIds = ranked.map((entry) => entry.model);
+    const keepPrimary =
+      primaryModel &&
+      (modelIds.includes(primaryModel) || !options.capabilities?.length);
+    const primary = keepPrimary ? primaryModel : modelIds[0];
+    if (!primary) {
+      throw new Error(
+        `No registry model meets the constraints of strategy "${this.strategy}"`
+      );
+    }
+    return [primary, ...modelIds.filter((id) => id !== primary)].slice(
+      0,
+      1 + this.models.fallbackCount
+    );
+  }
+
+  /**
+   * Get the adaptive router, creating one with default options if needed.
+   * @returns {AdaptiveRouter}
+   */
+  getAdaptiveRouter() {
+    if (!this.adaptiveRouter) {
+      this.adaptiveRouter = new AdaptiveRouter();
+    }
+    return this.adaptiveRouter;
+  }
+
+  /**
+   * Set the adaptive router (e.g. one with constraints or loaded state).
+   * @param {AdaptiveRouter} adaptiveRouter - The adaptive router.
+   */
+  setAdaptiveRouter(adaptiveRouter) {
+    this.adaptiveRouter = adaptiveRouter;
+  }
+
+  /**
+   * Record the outcome of an LLM call for adaptive routing (ignored by other strategies).
+   * @param {object} outcome - { task, complexity, model, success, latencyMs, cost }.
+   */
+  recordOutcome(outcome) {
+    if (this.isAdaptive()) {
+      this.getAdaptiveRouter().recordOutcome(outcome);
+    }
+  }
+
+  /**
+   * Get the embedding model for the current strategy.
+   * @returns {string} - Model ID.
+   */
+  getEmbeddingModel() {
+    return this.resolveModel(
+      this.models.embeddingModel || DEFAULT_EMBEDDING_MODEL
+    );
+  }
+
+  /**
+   * Get the ordered list of models to try for a complexity level: the primary
+   * model followed by the strategy's fallbacks for that tier (preceded by the
+   * tier's model for adaptive strategies). Fallbacks that are unknown, not
+   * allowed by the strategy or flagged unavailable are left out, and so is a
+   * primary flagged unavailable (unless no model is left).
+   * With options.capabilities (e.g. ["vision"] for queries with images), models
+   * lacking any of them are left out too, and any other allowed registry model
+   * that has them is appended. If none has them, the unfiltered chain is returned.
+   * Scoring strategies rank the registry instead, keeping fallbackCount models
+   * after the primary.
+   * @param {string} complexity - Complexity level (SHORT, MEDIUM, etc).
+   * @param {string} primaryModel - Model to try first (default: the tier's model).
+   * @param {object} options - { capabilities: Array<string> } required of every model, and the query's task (for scoring strategies).
+   * @returns {Array<string>} - Model IDs in the order they should be tried.
+   */
+  getFallbackChain(complexity, primaryModel = null, options = {}) {
+    if (this.isScored()) {
+      return this.getScoredFallbackChain(complexity, primaryModel, options);
+    }
+    const primary = primaryModel
+      ? this.resolveModel(primaryModel)
+      : this.getModelForComplexity(complexity);
+    // Adaptive strategies may pick a primary other than the tier's model,
+    // which then stays in the chain as a fallback
+    const fallbacks = [
+      ...(this.isAdaptive() ? [this.getModelForComplexity(complexity)] : []),
+      ...(this.models.fallbacks?.[complexity] || []).map((modelId) =>
+        this.resolveModel(modelId)
+      ),
+    ];
+    // A primary the provider no longer serves would fail: start with the
+    // first usable fallback instead
+    const chain =
+      !this.hasModel(primary) || this.isModelAvailable(primary)
+        ? [primary]
+        : [];
+    for (const modelId of fallbacks) {
+      if (!chain.includes(modelId) && this.isModelUsable(modelId)) {
+        chain.push(modelId);
+      }
+    }
+    if (chain.length === 0) {
+      chain.push(primary);
+    }
+
+    const capabilities = options.capabilities || [];
+    if (capabilities.length === 0) {
+      return chain;
+    }
+    const hasCapabilities = (modelId) =>
+      capabilities.every((capability) =>
+        this.modelSupportsCapability(modelId, capability)
+      );
+    const capable = chain.filter(hasCapabilities);
+    for (const modelId of Object.keys(this.registry)) {
+      if (
+        !capable.includes(modelId) &&
+        hasCapabilities(modelId) &&
+        this.isModelAllowed(modelId) &&
+        this.isModelAvailable(modelId)
+      ) {
+        capable.push(modelId);
+      }
+    }
+    return capable.length > 0 ? capable : chain;
+  }
+
+  /**
+   * Get the configuration for a model by ID or alias (see resolveModel for
+   * how deprecated models are handled).
+   * @param {string} modelId - Model ID or alias.
    * @returns {object} - Model config object.
+   * @throws {ModelNotFound} - If the model is not in the registry.
    */
   getModelConfig(modelId) {
-    return MODEL_REGISTRY[modelId] || MODEL_REGISTRY["llama3-8b-8192"];
+    const id = this.resolveModel(modelId);
+    if (!Object.hasOwn(this.registry, id)) {
+      const alias = id !== modelId ? ` (alias of "${id}")` : "";
+      throw new ModelNotFound(
+        `Unknown model "${modelId}"${alias} (not in the registry)`,
+        {
+          model: modelId,
+        }
+      );
+    }
+    return this.registry[id];
+  }
+
+  /**
+   * Check if the current strategy allows calling a provider.
+   * Strategies without an allowedProviders list allow every provider.
+   * @param {string} provider - Provider name.
+   * @returns {boolean}
+   */
+  isProviderAllowed(provider) {
+    const allowed = this.models.allowedProviders;
+    return !allowed || allowed.includes(provider);
+  }
+
+  /**
+   * Check if the current strategy allows routing to a model.
+   * @param {string} modelId - Model ID.
+   * @returns {boolean}
+   */
+  isModelAllowed(modelId) {
+    return this.isProviderAllowed(this.getModelConfig(modelId).provider);
+  }
+
+  /**
+   * Check if a model is still served by its provider. Models are only flagged
+   * unavailable by catalog sync (reconcileCatalog).
+   * @param {string} modelId - Model ID.
+   * @returns {boolean}
+   */
+  isModelAvailable(modelId) {
+    return this.getModelConfig(modelId).available !== false;
   }
 
   /**
@@ -199,7 +1076,17 @@ export class ModelManager {
    * @returns {Array<string>} - List of model IDs.
    */
   getAvailableModels() {
-    return Object.keys(MODEL_REGISTRY);
+    return Object.keys(this.registry);
+  }
+
+  /**
+   * Get all embedding models (registry entries with type: "embedding").
+   * @returns {Array<object>} - List of model configs.
+   */
+  getEmbeddingModels() {
+    return Object.entries(this.registry)
+      .filter(([_, config]) => config.type === "embedding")
+      .map(([id, config]) => ({ id, ...config }));
   }
 
   /**
@@ -208,34 +1095,264 @@ export class ModelManager {
    * @returns {Array<object>} - List of model configs.
    */
   getModelsByProvider(provider) {
-    return Object.entries(MODEL_REGISTRY)
+    return Object.entries(this.registry)
       .filter(([_, config]) => config.provider === provider)
       .map(([id, config]) => ({ id, ...config }));
   }
 
+  /**
+   * Get a model's prices in USD per 1M tokens.
+   * @param {string} modelId - Model ID.
+   * @returns {object} - { input, output, cachedInput } (cachedInput defaults to input).
+   */
+  getPricing(modelId) {
+    const config = this.getModelConfig(modelId);
+    // Local models run on your own hardware
+    if (config.provider === "local") {
+      return { input: 0, output: 0, cachedInput: 0 };
+    }
+    if (config.pricing) {
+      return {
+        input: config.pricing.input || 0,
+        output: config.pricing.output || 0,
+        cachedInput: config.pricing.cachedInput ?? config.pricing.input ?? 0,
+      };
+    }
+    // Custom models may still declare a single costPer1kTokens price
+    const price = (config.costPer1kTokens || 0) * 1000;
+    return { input: price, output: price, cachedInput: price };
+  }
+
+  /**
+   * Calculate the cost of a model call from its token usage.
+   * @param {string} modelId - Model ID.
+   * @param {object} usage - { promptTokens, completionTokens, cachedTokens } (cachedTokens are part of promptTokens).
+   * @returns {object} - { input, cachedInput, output, total, currency } in USD.
+   */
+  calculateCost(modelId, usage = {}) {
+    const pricing = this.getPricing(modelId);
+    const cachedTokens = usage.cachedTokens || 0;
+    const uncachedTokens = Math.max(
+      0,
+      (usage.promptTokens || 0) - cachedTokens
+    );
+    const input = (uncachedTokens / 1e6) * pricing.input;
+    const cachedInput = (cachedTokens / 1e6) * pricing.cachedInput;
+    const output = ((usage.completionTokens || 0) / 1e6) * pricing.output;
+    return {
+      input,
+      cachedInput,
+      output,
+      total: input + cachedInput + output,
+      currency: "USD",
+    };
+  }
+
   /**
    * Estimate the cost of a model call.
    * @param {string} modelId - Model ID.
-   * @param {number} inputTokens - Number of input tokens.
-   * @param {number} outputTokens - Number of output tokens (optional).
+   * @param {number} inputTokens - Number of input tokens (including cached ones).
+   * @param {number} outputTokens - Number of output tokens (optional; embedding models have none).
+   * @param {number} cachedInputTokens - Input tokens served from the provider's prompt cache (optional).
    * @returns {number} - Estimated cost in USD.
    */
-  estimateCost(modelId, inputTokens, outputTokens = 0) {
-    const config = this.getModelConfig(modelId);
-    const inputCost = (inputTokens / 1000) * config.costPer1kTokens;
-    const outputCost = (outputTokens / 1000) * (config.costPer1kTokens * 2); // Output typically costs more
-    return inputCost + outputCost;
+  estimateCost(modelId, inputTokens, outputTokens = 0, cachedInputTokens = 0) {
+    return this.calculateCost(modelId, {
+      promptTokens: inputTokens,
+      completionTokens: outputTokens,
+      cachedTokens: cachedInputTokens,
+    }).total;
+  }
+
+  /**
+   * Reconcile registry entries for a provider with the models it currently serves.
+   * Updates each entry's maxTokens from the reported context window, flags
+   * entries the provider no longer serves (available: false) and, with
+   * options.remapStrategies, points aliases and strategies at their
+   * replacements (from options.replacements, MODEL_REPLACEMENTS or the
+   * entry's own replacement field).
+   * @param {string} provider - Provider name.
+   * @param {Array<object>} models - Models from LLMClient.listModels ({ id, contextWindow, active }).
+   * @param {object} options - { replacements: { oldId: newId }, remapStrategies: boolean }.
+   * @returns {object} - { updated, unavailable, newModels, remapped } changes.
+   */
+  reconcileCatalog(provider, models, options = {}) {
+    const replacements = { ...MODEL_REPLACEMENTS, ...options.replacements };
+    const listed = new Map(models.map((model) => [model.id, model]));
+    const report = {
+      updated: [],
+      unavailable: [],
+      newModels: [],
+      remapped: [],
+    };
+    const knownIds = new Set();
+
+    for (const [modelId, config] of Object.entries(this.registry)) {
+      if (config.provider !== provider) continue;
+      const apiId = config.apiModel || modelId;
+      knownIds.add(apiId);
+      const model = listed.get(apiId);
+
+      if (!model || !model.active) {
+        config.available = false;
+        report.unavailable.push({ model: modelId, provider });
+        continue;
+      }
+      config.available = true;
+      if (model.contextWindow && model.contextWindow !== config.maxTokens) {
+        report.updated.push({
+          model: modelId,
+          field: "maxTokens",
+          from: config.maxTokens,
+          to: model.contextWindow,
+        });
+        config.maxTokens = model.contextWindow;
+      }
+    }
+
+    // Only suggest replacements that are registered and being served
+    for (const entry of report.unavailable) {
+      const replacement =
+        replacements[entry.model] ||
+        (this.registry[entry.model].replacement &&
+          this.resolveAlias(this.registry[entry.model].replacement));
+      entry.replacement =
+        replacement &&
+        this.hasModel(replacement) &&
+        this.isModelAvailable(replacement)
+          ? replacement
+          : null;
+      if (options.remapStrategies && entry.replacement) {
+        report.remapped.push(this.remapModel(entry.model, entry.replacement));
+      }
+    }
+
+    for (const model of models) {
+      if (!knownIds.has(model.id) && model.active) {
+        report.newModels.push({
+          id: model.id,
+          provider,
+          contextWindow: model.contextWindow,
+        });
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Replace a model in this manager's aliases and, for this manager only, in
+   * every strategy's tiers and fallback chains (MODEL_SELECTION_STRATEGIES is
+   * left unchanged).
+   * @param {string} fromId - Model to replace.
+   * @param {string} toId - Replacement model.
+   * @returns {object} - { model, replacement, aliases }, where aliases lists the repointed aliases ({ alias, from, to }).
+   */
+  remapModel(fromId, toId) {
+    const aliases = [];
+    for (const [alias, modelId] of Object.entries(this.aliases)) {
+      if (modelId === fromId) {
+        this.aliases[alias] = toId;
+        aliases.push({ alias, from: fromId, to: toId });
+      }
+    }
+    for (const [modelId, replacement] of Object.entries(this.remaps)) {
+      if (replacement === fromId) {
+        this.remaps[modelId] = toId;
+      }
+    }
+    this.remaps[fromId] = toId;
+    this.setStrategy(this.strategy);
+    return { model: fromId, replacement: toId, aliases };
+  }
+
+  /**
+   * Add a scoring strategy to this manager (other managers never see it).
+   * A built-in strategy of the same name is shadowed for this manager.
+   * @param {string} name - Strategy name (used with setStrategy).
+   * @param {object} definition - Strategy definition (see defineStrategy).
+   * @returns {object} - The added strategy.
+   * @throws {Error} - If the definition is invalid.
+   */
+  defineStrategy(name, definition) {
+    this.strategies[name] = defineStrategy(name, definition);
+    if (this.strategy === name) {
+      this.setStrategy(name);
+    }
+    return this.strategies[name];
+  }
+
+  /**
+   * Get the names of the strategies this manager can use: the built-in ones
+   * and those added with defineStrategy.
+   * @returns {Array<string>} - Strategy names.
+   */
+  getStrategies() {
+    return [
+      ...new Set([
+        ...Object.keys(MODEL_SELECTION_STRATEGIES),
+        ...Object.keys(this.strategies),
+      ]),
+    ];
+  }
+
+  /**
+   * Get a strategy's tier table with this manager's remaps applied (see remapModel).
+   * @param {string} strategy - Strategy name.
+   * @returns {object} - The tier table (the shared one if nothing is remapped).
+   */
+  getStrategyTiers(strategy) {
+    const tiers = Object.hasOwn(this.strategies, strategy)
+      ? this.strategies[strategy]
+      : MODEL_SELECTION_STRATEGIES[strategy];
+    if (Object.keys(this.remaps).length === 0) {
+      return tiers;
+    }
+    const remap = (modelId) =>
+      Object.hasOwn(this.remaps, modelId) ? this.remaps[modelId] : modelId;
+    const remapped = { ...tiers };
+    for (const [key, value] of Object.entries(tiers)) {
+      if (typeof value === "string") {
+        remapped[key] = remap(value);
+      }
+    }
+    if (tiers.fallbacks) {
+      remapped.fallbacks = {};
+      for (const [tier, chain] of Object.entries(tiers.fallbacks)) {
+        remapped.fallbacks[tier] = chain.map(remap);
+      }
+    }
+    return remapped;
   }
 
   /**
    * Change the model selection strategy.
-   * @param {string} strategy - New strategy name.
+   * @param {string} strategy - New strategy name (built in or added with defineStrategy).
+   * @throws {Error} - If the strategy is not built in or added to this manager.
    */
   setStrategy(strategy) {
-    if (MODEL_SELECTION_STRATEGIES[strategy]) {
-      this.strategy = strategy;
-      this.models = MODEL_SELECTION_STRATEGIES[strategy];
+    if (!this.getStrategies().includes(strategy)) {
+      throw new Error(
+        `Unknown model selection strategy "${strategy}" (expected ${this.getStrategies().join(
+          ", "
+        )})`
+      );
     }
+    this.strategy = strategy;
+    this.models = this.getStrategyTiers(strategy);
+  }
+
+  /**
+   * Get a view of this manager that routes with another strategy but shares
+   * its registry, aliases, availability and adaptive router (e.g. to plan a
+   * cheaper chain without switching the manager's own strategy).
+   * @param {string} strategy - Strategy name.
+   * @returns {ModelManager} - The view.
+   * @throws {Error} - If the strategy is not built in or added to this manager.
+   */
+  withStrategy(strategy) {
+    const view = Object.create(this);
+    view.setStrategy(strategy);
+    return view;
   }
 
   /**
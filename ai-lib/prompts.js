@@ -97,6 +97,24 @@ export function getDynamicTemperature(task, complexity, contextLength = 0) {
   return baseTemp;
 }
 
+// Instructions appended to the system prompt when a response schema is requested
+export function getStructuredOutputPrompt(schema) {
+  return `Respond only with JSON that matches this JSON Schema. Do not wrap it in Markdown or add any other text.\n\nJSON Schema:\n${JSON.stringify(
+    schema,
+    null,
+    2
+  )}`;
+}
+
+// Follow-up message asking the model to fix JSON that failed validation
+export function getSchemaRepairPrompt(errors) {
+  return `Your previous response did not match the required JSON Schema:\n${errors
+    .map((error) => `- ${error}`)
+    .join(
+      "\n"
+    )}\n\nReply again with only the corrected JSON, with no other text.`;
+}
+
 // Prompt manager class: manages system prompts and dynamic settings
 export class PromptManager {
   constructor() {
@@ -125,6 +143,18 @@ export class PromptManager {
   getTemperature(task, complexity, contextLength) {
     return getDynamicTemperature(task, complexity, contextLength);
   }
+  /**
+   * Get the structured output instructions for a JSON Schema.
+   */
+  getStructuredOutputPrompt(schema) {
+    return getStructuredOutputPrompt(schema);
+  }
+  /**
+   * Get the repair message for JSON that failed schema validation.
+   */
+  getSchemaRepairPrompt(errors) {
+    return getSchemaRepairPrompt(errors);
+  }
   /**
    * Add a custom system prompt for a task type.
    */
@@ -0,0 +1,457 @@
+// Provider Adapters Library
+// This module defines how requests are built and responses parsed for each LLM provider.
+// The LLM client looks up an adapter by the `provider` field of a model's registry entry.
+
+// Anthropic Messages API version sent with every Anthropic request
+export const ANTHROPIC_API_VERSION = "2023-06-01";
+
+// Output token limit sent to Anthropic when the call sets no maxTokens (the API requires one)
+export const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+// User turn placed before a conversation that opens with an assistant turn (Anthropic requires a user turn first)
+export const ANTHROPIC_LEADING_USER_TURN = "(continued)";
+
+// Default base URL for local OpenAI-compatible servers (Ollama; llama.cpp's server uses http://localhost:8080/v1)
+export const DEFAULT_LOCAL_BASE_URL = "http://localhost:11434/v1";
+
+// Methods every provider adapter must implement
+export const PROVIDER_ADAPTER_METHODS = [
+  "authHeaders", // (apiKey) => headers object
+  "buildRequest", // (params, { model, stream }) => JSON request body (params.tools are { name, description, parameters }; params.jsonMode asks for JSON output; message content may be OpenAI-style text/image_url parts)
+  "parseResponse", // (body) => chat completion ({ choices: [{ message }], usage }); tool calls in message.tool_calls
+  "parseStreamChunk", // (chunk) => { id, delta, finishReason, usage }
+  "parseError", // (status, errorText) => { message, type, code }
+];
+
+// Optional adapter members for catalog sync: modelsPath (appended to the base URL)
+// and parseModelList(body) => [{ id, name, contextWindow, active, ownedBy }]
+
+// Optional adapter members for embeddings: embeddingsPath (appended to the base URL),
+// buildEmbeddingRequest(params, { model }) => JSON request body (params.input is an array of texts)
+// and parseEmbeddingResponse(body) => { embeddings: [[...]], usage } (embeddings in input order)
+
+/**
+ * Parse a JSON error body, returning null if it isn't JSON.
+ */
+function parseJSONError(errorText) {
+  try {
+    return JSON.parse(errorText);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create an adapter for providers that speak the OpenAI chat completions API
+ * (GroqCloud, OpenAI, Azure OpenAI, Together, Mistral, most in-house gateways).
+ * @param {object} options - Adapter options.
+ * @param {string} options.baseUrl - API base URL (e.g. "https://api.openai.com/v1").
+ * @param {string} options.endpoint - Chat completions URL (defaults to baseUrl + "/chat/completions").
+ * @param {boolean} options.streamUsage - Send stream_options.include_usage when streaming.
+ * @param {function} options.authHeaders - Override for auth headers (e.g. Azure's api-key header).
+ * @returns {object} - Provider adapter.
+ */
+export function createOpenAICompatibleAdapter(options = {}) {
+  const chatPath = "/chat/completions";
+  return {
+    baseUrl: options.baseUrl,
+    chatPath,
+    modelsPath: "/models",
+    embeddingsPath: "/embeddings",
+    endpoint:
+      options.endpoint || (options.baseUrl ? options.baseUrl + chatPath : null),
+
+    authHeaders:
+      options.authHeaders ||
+      ((apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {})),
+
+    buildRequest(params, { model, stream = false }) {
+      const body = {
+        model,
+        max_tokens: params.maxTokens,
+        temperature: params.temperature,
+        messages: params.messages,
+      };
+      if (params.tools && params.tools.length > 0) {
+        body.tools = params.tools.map((tool) => ({
+          type: "function",
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters,
+          },
+        }));
+        body.tool_choice = params.toolChoice || "auto";
+      }
+      // JSON mode guarantees syntactically valid JSON; the schema itself is in the prompt.
+      // Providers such as Groq reject it alongside tools, so turns that offer
+      // tools rely on the prompt (and the orchestrator's repair loop) alone
+      if (params.jsonMode && !body.tools) {
+        body.response_format = { type: "json_object" };
+      }
+      if (stream) {
+        body.stream = true;
+        if (options.streamUsage) {
+          body.stream_options = { include_usage: true };
+        }
+      }
+      return body;
+    },
+
+    parseResponse(body) {
+      return body;
+    },
+
+    parseStreamChunk(chunk) {
+      const choice = chunk.choices && chunk.choices[0];
+      return {
+        id: chunk.id,
+        delta: choice?.delta?.content,
+        finishReason: choice?.finish_reason,
+        // Groq reports usage under x_groq on the final chunk
+        usage: chunk.usage || chunk.x_groq?.usage,
+      };
+    },
+
+    parseError(status, errorText) {
+      const error = parseJSONError(errorText)?.error;
+      return {
+        message: error?.message || errorText || `HTTP ${status}`,
+        type: error?.type || null,
+        code: error?.code || null,
+      };
+    },
+
+    buildEmbeddingRequest(params, { model }) {
+      const body = { model, input: params.input };
+      if (params.dimensions) {
+        // Only text-embedding-3 and later models can shorten their vectors
+        body.dimensions = params.dimensions;
+      }
+      return body;
+    },
+
+    parseEmbeddingResponse(body) {
+      const data = [...(body.data || [])].sort((a, b) => a.index - b.index);
+      return {
+        embeddings: data.map((item) => item.embedding),
+        usage: body.usage,
+      };
+    },
+
+    parseModelList(body) {
+      return (body.data || []).map((model) => ({
+        id: model.id,
+        name: model.id,
+        // Groq reports context_window; OpenRouter and vLLM use other names; OpenAI omits it
+        contextWindow:
+          model.context_window ||
+          model.context_length ||
+          model.max_model_len ||
+          null,
+        active: model.active !== false,
+        ownedBy: model.owned_by || null,
+      }));
+    },
+  };
+}
+
+// Map Anthropic stop reasons onto OpenAI-style finish reasons
+const ANTHROPIC_FINISH_REASONS = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  tool_use: "tool_calls",
+};
+
+/**
+ * Convert one OpenAI-style message into Anthropic content blocks.
+ * Assistant tool_calls become tool_use blocks and "tool" messages become
+ * tool_result blocks (which Anthropic expects inside a user turn).
+ */
+function toAnthropicBlocks(message) {
+  if (message.role === "tool") {
+    return [
+      {
+        type: "tool_result",
+        tool_use_id: message.tool_call_id,
+        content: message.content,
+      },
+    ];
+  }
+  const blocks = [];
+  if (message.content) {
+    blocks.push({ type: "text", text: message.content });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    const args = toolCall.function.arguments;
+    blocks.push({
+      type: "tool_use",
+      id: toolCall.id,
+      name: toolCall.function.name,
+      input: typeof args === "string" ? JSON.parse(args || "{}") : args || {},
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Convert an OpenAI-style image_url part into an Anthropic image block
+ * (base64 data URLs become base64 sources; other URLs are fetched by Anthropic).
+ */
+function toAnthropicImageBlock(part) {
+  const url = part.image_url.url;
+  const dataUrl = url.match(/^data:([^;]+);base64,(.*)$/);
+  if (dataUrl) {
+    return {
+      type: "image",
+      source: { type: "base64", media_type: dataUrl[1], data: dataUrl[2] },
+    };
+  }
+  return { type: "image", source: { type: "url", url } };
+}
+
+/**
+ * Convert OpenAI-style content parts (text and image_url) into Anthropic content blocks.
+ */
+function toAnthropicContent(parts) {
+  return parts.map((part) =>
+    part.type === "image_url" ? toAnthropicImageBlock(part) : part
+  );
+}
+
+/**
+ * Normalize string or block-array content to a block array.
+ */
+function asBlocks(content) {
+  if (Array.isArray(content)) return content;
+  return content ? [{ type: "text", text: content }] : [];
+}
+
+/**
+ * Convert OpenAI-style chat messages into Anthropic's Messages API format.
+ * System messages move to the top-level system field, consecutive turns with
+ * the same role are merged, and a conversation that opens with an assistant
+ * turn gets ANTHROPIC_LEADING_USER_TURN before it (the API requires a user
+ * turn first), so no history is lost.
+ * @param {Array} messages - Messages from buildMessagesArray.
+ * @returns {object} - { system, messages }
+ */
+function toAnthropicMessages(messages) {
+  const systemParts = [];
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === "system") {
+      systemParts.push(message.content);
+      continue;
+    }
+    const role = message.role === "tool" ? "user" : message.role;
+    // Plain text turns stay strings; tool traffic and images need content blocks
+    let content = message.content;
+    if (message.role === "tool" || message.tool_calls) {
+      content = toAnthropicBlocks(message);
+    } else if (Array.isArray(content)) {
+      content = toAnthropicContent(content);
+    }
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      if (typeof last.content === "string" && typeof content === "string") {
+        last.content += "\n\n" + content;
+      } else {
+        last.content = [...asBlocks(last.content), ...asBlocks(content)];
+      }
+    } else {
+      turns.push({ role, content });
+    }
+  }
+  // Anthropic rejects conversations that open with an assistant turn
+  if (turns.length > 0 && turns[0].role !== "user") {
+    turns.unshift({ role: "user", content: ANTHROPIC_LEADING_USER_TURN });
+  }
+  return {
+    system: systemParts.length > 0 ? systemParts.join("\n\n") : undefined,
+    messages: turns,
+  };
+}
+
+/**
+ * Convert Anthropic input usage to OpenAI-style prompt usage. Anthropic counts
+ * prompt cache reads and writes separately from input_tokens; OpenAI includes
+ * cached tokens in prompt_tokens and reports them under prompt_tokens_details.
+ */
+function fromAnthropicInputUsage(usage = {}) {
+  const cachedTokens = usage.cache_read_input_tokens || 0;
+  return {
+    prompt_tokens:
+      (usage.input_tokens || 0) +
+      cachedTokens +
+      (usage.cache_creation_input_tokens || 0),
+    prompt_tokens_details: { cached_tokens: cachedTokens },
+  };
+}
+
+/**
+ * Convert Anthropic usage ({ input_tokens, output_tokens, cache_*_input_tokens }) to OpenAI-style usage.
+ */
+function fromAnthropicUsage(usage) {
+  const promptUsage = fromAnthropicInputUsage(usage);
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    ...promptUsage,
+    completion_tokens: completionTokens,
+    total_tokens: promptUsage.prompt_tokens + completionTokens,
+  };
+}
+
+// Adapter for Anthropic's native Messages API
+export const anthropicAdapter = {
+  baseUrl: "https://api.anthropic.com/v1",
+  chatPath: "/messages",
+  modelsPath: "/models",
+  // No embeddingsPath: Anthropic has no embeddings API
+  endpoint: "https://api.anthropic.com/v1/messages",
+
+  authHeaders(apiKey) {
+    const headers = { "anthropic-version": ANTHROPIC_API_VERSION };
+    if (apiKey) {
+      headers["x-api-key"] = apiKey;
+    }
+    return headers;
+  },
+
+  buildRequest(params, { model, stream = false }) {
+    const { system, messages } = toAnthropicMessages(params.messages);
+    const body = {
+      model,
+      max_tokens: params.maxTokens ?? ANTHROPIC_DEFAULT_MAX_TOKENS,
+      temperature: params.temperature,
+      messages,
+    };
+    if (system) {
+      body.system = system;
+    }
+    if (params.tools && params.tools.length > 0) {
+      body.tools = params.tools.map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters,
+      }));
+      // Anthropic calls OpenAI's "required" tool choice "any"
+      const toolChoice = params.toolChoice || "auto";
+      body.tool_choice = {
+        type: toolChoice === "required" ? "any" : toolChoice,
+      };
+    }
+    // Anthropic has no JSON mode; params.jsonMode relies on the prompt alone
+    if (stream) {
+      body.stream = true;
+    }
+    return body;
+  },
+
+  parseResponse(body) {
+    const blocks = body.content || [];
+    const content = blocks
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+    const message = { role: "assistant", content };
+    const toolUses = blocks.filter((block) => block.type === "tool_use");
+    if (toolUses.length > 0) {
+      message.tool_calls = toolUses.map((block) => ({
+        id: block.id,
+        type: "function",
+        function: { name: block.name, arguments: JSON.stringify(block.input) },
+      }));
+    }
+    return {
+      id: body.id,
+      object: "chat.completion",
+      model: body.model,
+      choices: [
+        {
+          index: 0,
+          message,
+          finish_reason:
+            ANTHROPIC_FINISH_REASONS[body.stop_reason] || body.stop_reason,
+        },
+      ],
+      usage: body.usage ? fromAnthropicUsage(body.usage) : undefined,
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    switch (chunk.type) {
+      case "message_start":
+        return {
+          id: chunk.message.id,
+          usage: fromAnthropicInputUsage(chunk.message.usage),
+        };
+      case "content_block_delta":
+        return { delta: chunk.delta?.text };
+      case "message_delta":
+        return {
+          finishReason:
+            ANTHROPIC_FINISH_REASONS[chunk.delta?.stop_reason] ||
+            chunk.delta?.stop_reason,
+          usage: { completion_tokens: chunk.usage?.output_tokens || 0 },
+        };
+      case "error":
+        throw new Error(chunk.error?.message || "Anthropic stream error");
+      default:
+        return {};
+    }
+  },
+
+  parseError(status, errorText) {
+    const error = parseJSONError(errorText)?.error;
+    return {
+      message: error?.message || errorText || `HTTP ${status}`,
+      type: error?.type || null,
+      code: null,
+    };
+  },
+
+  parseModelList(body) {
+    return (body.data || []).map((model) => ({
+      id: model.id,
+      name: model.display_name || model.id,
+      contextWindow: null, // Not reported by the Models API
+      active: true,
+      ownedBy: "anthropic",
+    }));
+  },
+};
+
+// Built-in provider adapters, keyed by the `provider` field used in MODEL_REGISTRY
+export const PROVIDER_ADAPTERS = {
+  groq: createOpenAICompatibleAdapter({
+    baseUrl: "https://api.groq.com/openai/v1",
+  }),
+  openai: createOpenAICompatibleAdapter({
+    baseUrl: "https://api.openai.com/v1",
+    streamUsage: true, // OpenAI only reports usage on streams when asked to
+  }),
+  anthropic: anthropicAdapter,
+  // Ollama, llama.cpp server, LM Studio, vLLM... (no API key required)
+  local: createOpenAICompatibleAdapter({
+    baseUrl: DEFAULT_LOCAL_BASE_URL,
+  }),
+};
+
+/**
+ * Check that an adapter implements the full provider adapter interface.
+ * @param {string} name - Provider name (used in the error message).
+ * @param {object} adapter - The adapter to validate.
+ * @throws {Error} - If a required method is missing.
+ */
+export function validateProviderAdapter(name, adapter) {
+  if (!adapter || typeof adapter !== "object") {
+    throw new Error(`Provider adapter "${name}" must be an object`);
+  }
+  for (const method of PROVIDER_ADAPTER_METHODS) {
+    if (typeof adapter[method] !== "function") {
+      throw new Error(`Provider adapter "${name}" is missing ${method}()`);
+    }
+  }
+}
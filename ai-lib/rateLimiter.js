@@ -0,0 +1,249 @@
+// Rate Limiter Library
+// This module schedules LLM requests under per-provider (and per-model) rate limits.
+// It combines requests-per-minute and tokens-per-minute token buckets, a concurrency cap and a priority queue.
+
+// Request priorities: higher ranks are dequeued first
+export const REQUEST_PRIORITIES = {
+  interactive: 2, // A user is waiting for the answer
+  normal: 1, // Default
+  background: 0, // Title generation, batch jobs...
+};
+
+// Token bucket: holds up to `capacity` units and refills continuously over a minute
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    const elapsed = now - this.updatedAt;
+    this.available = Math.min(
+      this.capacity,
+      this.available + elapsed * this.refillPerMs
+    );
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `amount` units are available (0 if they are now).
+   * Requests larger than the bucket wait for a full bucket.
+   */
+  waitTime(amount, now) {
+    this.refill(now);
+    const needed = Math.min(amount, this.capacity);
+    if (this.available >= needed) return 0;
+    return Math.ceil((needed - this.available) / this.refillPerMs);
+  }
+
+  take(amount, now) {
+    this.refill(now);
+    this.available -= Math.min(amount, this.capacity);
+  }
+
+  /**
+   * Return (or charge) the difference between estimated and actual usage.
+   */
+  adjust(amount) {
+    this.available = Math.min(this.capacity, this.available + amount);
+  }
+}
+
+// Limits for one scope (a provider or a single model)
+class ScopeLimiter {
+  constructor(key, limits = {}) {
+    this.key = key; // "provider" or "provider/model"
+    this.requests = limits.rpm ? new TokenBucket(limits.rpm) : null;
+    this.tokens = limits.tpm ? new TokenBucket(limits.tpm) : null;
+    this.maxConcurrent = limits.maxConcurrent || Infinity;
+    this.active = 0;
+  }
+
+  /**
+   * Milliseconds until a request costing `tokens` can start; Infinity when
+   * it must wait for a running request to finish.
+   */
+  waitTime(tokens, now) {
+    if (this.active >= this.maxConcurrent) return Infinity;
+    return Math.max(
+      this.requests ? this.requests.waitTime(1, now) : 0,
+      this.tokens ? this.tokens.waitTime(tokens, now) : 0
+    );
+  }
+
+  take(tokens, now) {
+    this.active++;
+    if (this.requests) this.requests.take(1, now);
+    if (this.tokens) this.tokens.take(tokens, now);
+  }
+}
+
+// Rate limiter class: queues requests and starts them when their provider and model have capacity
+export class RateLimiter {
+  /**
+   * Construct a new RateLimiter.
+   * @param {object} limits - Limits per provider, e.g.
+   *   { groq: { rpm: 30, tpm: 6000, maxConcurrent: 4, models: { "llama-3.3-70b-versatile": { tpm: 12000 } } } }.
+   */
+  constructor(limits = {}) {
+    this.limits = {};
+    this.scopes = {};
+    this.queue = [];
+    this.sequence = 0;
+    this.timer = null;
+    this.setLimits(limits);
+  }
+
+  /**
+   * Replace the limits for the given providers (other providers keep theirs).
+   * Usage already counted against a replaced provider is forgotten.
+   * @param {object} limits - Limits per provider (see constructor).
+   */
+  setLimits(limits = {}) {
+    for (const [provider, providerLimits] of Object.entries(limits)) {
+      this.limits[provider] = providerLimits;
+      for (const key of Object.keys(this.scopes)) {
+        if (key === provider || key.startsWith(`${provider}/`)) {
+          delete this.scopes[key];
+        }
+      }
+    }
+    this.schedule();
+  }
+
+  /**
+   * Get the configured limits.
+   */
+  getLimits() {
+    return this.limits;
+  }
+
+  /**
+   * Get the limiters that apply to a request: its provider's and, if
+   * configured, its model's.
+   */
+  getScopes(provider, model) {
+    const providerLimits = this.limits[provider];
+    if (!providerLimits) return [];
+    if (!this.scopes[provider]) {
+      this.scopes[provider] = new ScopeLimiter(provider, providerLimits);
+    }
+    const scopes = [this.scopes[provider]];
+    const modelLimits = providerLimits.models?.[model];
+    if (modelLimits) {
+      const key = `${provider}/${model}`;
+      if (!this.scopes[key]) {
+        this.scopes[key] = new ScopeLimiter(key, modelLimits);
+      }
+      scopes.push(this.scopes[key]);
+    }
+    return scopes;
+  }
+
+  /**
+   * Wait for capacity to send a request.
+   * @param {object} request - { provider, model, tokens, priority, signal }.
+   *   tokens is the estimated total (prompt + completion) token cost;
+   *   priority is "interactive", "normal" (default) or "background".
+   * @returns {Promise<function>} - release(actualTokens) - call when the request finishes,
+   *   passing the real token usage (if known) to correct the estimate.
+   */
+  acquire(request) {
+    const { signal } = request;
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const entry = {
+        ...request,
+        tokens: request.tokens || 0,
+        rank: REQUEST_PRIORITIES[request.priority] ?? REQUEST_PRIORITIES.normal,
+        sequence: this.sequence++,
+        resolve,
+        reject,
+      };
+      if (signal) {
+        entry.onAbort = () => {
+          this.queue = this.queue.filter((queued) => queued !== entry);
+          reject(signal.reason);
+          this.schedule();
+        };
+        signal.addEventListener("abort", entry.onAbort, { once: true });
+      }
+      this.queue.push(entry);
+      // Highest priority first, then first come first served
+      this.queue.sort((a, b) => b.rank - a.rank || a.sequence - b.sequence);
+      this.schedule();
+    });
+  }
+
+  /**
+   * Start every queued request that has capacity, and set a timer for the
+   * earliest time a blocked one could start.
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const now = Date.now();
+    let nextWait = Infinity;
+    // A blocked request holds back later requests for the scope it is
+    // waiting on (its provider, or just its model when only the model's
+    // limits are exhausted), so large or low-priority requests are not starved
+    const blocked = new Set();
+
+    for (const entry of [...this.queue]) {
+      const scopes = this.getScopes(entry.provider, entry.model);
+      if (scopes.some((scope) => blocked.has(scope.key))) continue;
+      const waits = scopes.map((scope) => scope.waitTime(entry.tokens, now));
+      const wait = Math.max(0, ...waits);
+      if (wait > 0) {
+        scopes.forEach((scope, i) => {
+          if (waits[i] > 0) blocked.add(scope.key);
+        });
+        nextWait = Math.min(nextWait, wait);
+        continue;
+      }
+      for (const scope of scopes) {
+        scope.take(entry.tokens, now);
+      }
+      this.queue = this.queue.filter((queued) => queued !== entry);
+      if (entry.signal) {
+        entry.signal.removeEventListener("abort", entry.onAbort);
+      }
+      entry.resolve(this.createRelease(scopes, entry.tokens));
+    }
+
+    // Infinity means waiting on a running request, whose release reschedules
+    if (nextWait !== Infinity) {
+      this.timer = setTimeout(() => this.schedule(), nextWait);
+    }
+  }
+
+  /**
+   * Build the release function for a started request.
+   */
+  createRelease(scopes, estimatedTokens) {
+    let released = false;
+    return (actualTokens = null) => {
+      if (released) return;
+      released = true;
+      for (const scope of scopes) {
+        scope.active--;
+        if (scope.tokens && actualTokens !== null) {
+          scope.tokens.adjust(estimatedTokens - actualTokens);
+        }
+      }
+      this.schedule();
+    };
+  }
+
+  /**
+   * Get the number of requests waiting for capacity.
+   */
+  getQueueLength() {
+    return this.queue.length;
+  }
+}
@@ -0,0 +1,234 @@
+// Schema Validator Library
+// This module parses JSON answers from model output and validates them against a JSON Schema.
+// It covers the commonly used subset of JSON Schema (types, properties, items, enums, bounds, combinators).
+
+/**
+ * Get the JSON Schema type name of a value.
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Check a value against a single JSON Schema type name.
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Compare two JSON values for equality (used by enum and const).
+ */
+function jsonEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * Supported keywords: type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, anyOf, oneOf, allOf.
+ * @param {*} value - The parsed value.
+ * @param {object} schema - JSON Schema.
+ * @param {string} path - Location of the value, for error messages (default: "$").
+ * @returns {Array<string>} - Validation errors (empty if the value is valid).
+ */
+export function validateSchema(value, schema, path = "$") {
+  if (!schema || schema === true) return [];
+  if (schema === false) return [`${path}: no value is allowed here`];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      // Further checks would only repeat the type error
+      return [`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => jsonEqual(option, value))) {
+    errors.push(
+      `${path}: must be one of ${schema.enum
+        .map((option) => JSON.stringify(option))
+        .join(", ")}`
+    );
+  }
+  if ("const" in schema && !jsonEqual(schema.const, value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertyPath = `${path}.${key}`;
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(propertyValue, properties[key], propertyPath)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${propertyPath}: unexpected property`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateSchema(
+            propertyValue,
+            schema.additionalProperties,
+            propertyPath
+          )
+        );
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateSchema(value, subschema, path));
+    }
+  }
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((sub) => validateSchema(value, sub, path));
+    if (!results.some((result) => result.length === 0)) {
+      errors.push(`${path}: does not match any allowed schema`);
+    }
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (sub) => validateSchema(value, sub, path).length === 0
+    ).length;
+    if (matches !== 1) {
+      errors.push(
+        `${path}: must match exactly one allowed schema (matched ${matches})`
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a JSON answer from model output. Tolerates Markdown code fences and
+ * text around the JSON, which models add even when asked not to.
+ * @param {string} text - Model output.
+ * @returns {object} - { value, error } - error is null when parsing succeeded.
+ */
+export function parseJSONContent(text) {
+  if (typeof text !== "string" || text.trim() === "") {
+    return { value: null, error: "Response was empty" };
+  }
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [text.trim()];
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+  // Fall back to the outermost {...} or [...] span
+  const start = text.search(/[{[]/);
+  const end = Math.max(text.lastIndexOf("}"), text.lastIndexOf("]"));
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate), error: null };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  return {
+    value: null,
+    error: `Response is not valid JSON: ${lastError.message}`,
+  };
+}
+
+/**
+ * Parse model output and validate it against a schema in one step.
+ * @param {string} text - Model output.
+ * @param {object} schema - JSON Schema.
+ * @returns {object} - { data, errors } - data is null unless errors is empty.
+ */
+export function parseStructuredOutput(text, schema) {
+  const { value, error } = parseJSONContent(text);
+  if (error) {
+    return { data: null, errors: [error] };
+  }
+  const errors = validateSchema(value, schema);
+  return { data: errors.length === 0 ? value : null, errors };
+}
+
+// Property that holds the answer for a schema whose root is not an object (see wrapResponseSchema)
+export const WRAPPED_SCHEMA_PROPERTY = "result";
+
+/**
+ * Wrap a schema whose root is not an object (e.g. an array) in an object with
+ * one required property, since providers' JSON modes only return objects.
+ * @param {object} schema - JSON Schema.
+ * @returns {object} - { schema, wrapped }: the schema to ask for, and whether
+ *   parsed answers hold the value under WRAPPED_SCHEMA_PROPERTY.
+ */
+export function wrapResponseSchema(schema) {
+  const isObject =
+    schema.type === "object" ||
+    (schema.type === undefined && schema.properties);
+  if (isObject) {
+    return { schema, wrapped: false };
+  }
+  return {
+    schema: {
+      type: "object",
+      properties: { [WRAPPED_SCHEMA_PROPERTY]: schema },
+      required: [WRAPPED_SCHEMA_PROPERTY],
+      additionalProperties: false,
+    },
+    wrapped: true,
+  };
+}
@@ -3,6 +3,81 @@
 // It analyzes the user's query, classifies the task, and selects the best model.
 
 import { TEXT_LENGTH_THRESHOLDS, defaultModelManager } from "./models.js";
+import { LLMError, ERROR_CODES } from "./errors.js";
+import { CassetteMissError } from "./cassette.js";
+
+// Model (ID or alias) that classifies queries the keyword scores can't settle
+export const DEFAULT_CLASSIFIER_MODEL = "fast-small";
+
+// Default keyword scoring options (see TaskClassifier.rankTasks)
+export const DEFAULT_CLASSIFIER_OPTIONS = {
+  exactWeight: 1, // Keyword found as a whole word
+  stemWeight: 0.6, // Keyword found in another form (e.g. "summarizing" for "summarize")
+  phraseWeight: 1.5, // Multi-word keyword found as a phrase
+  positionWeight: 1, // Extra weight for early words: 1x for the first word, 1/2x for the second...
+  smoothing: 1, // Added to the total score, so a single weak match is not fully confident
+  confidenceThreshold: 0.4, // Below this, the LLM classifier is asked instead
+};
+
+// Suffixes removed by stemWord, longest first
+const STEM_SUFFIXES = [
+  "isation",
+  "ization",
+  "ations",
+  "ation",
+  "ising",
+  "izing",
+  "ises",
+  "izes",
+  "ised",
+  "ized",
+  "yses",
+  "ysis",
+  "ise",
+  "ize",
+  "yse",
+  "yze",
+  "ies",
+  "ing",
+  "ed",
+  "es",
+  "ly",
+  "e",
+  "s",
+  "y",
+];
+
+/**
+ * Escape a string for use in a regular expression.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Split text into lowercase words.
+ * @param {string} text - Text to split.
+ * @returns {Array<string>} - Words (letters, digits and apostrophes).
+ */
+export function tokenize(text) {
+  return (text || "").toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+/**
+ * Reduce a word to a crude stem by removing one common suffix, so that e.g.
+ * "summarize", "summarise", "summary" and "summarizing" all become "summar".
+ * At least three letters are kept.
+ * @param {string} word - Lowercase word.
+ * @returns {string} - The stem.
+ */
+export function stemWord(word) {
+  for (const suffix of STEM_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
 
 // Task type definitions (each with keywords, description, and default settings)
 export const TASK_TYPES = {
@@ -67,6 +142,8 @@ export const TASK_TYPES = {
       "transform",
       "translate",
       "reformat",
+      "rewrite",
+      "rephrase",
       "adapt",
       "modify",
     ],
@@ -169,65 +246,91 @@ export class TaskClassifier {
   /**
    * Construct a new TaskClassifier instance.
    * @param {object} modelManager - The model manager for model selection.
+   * @param {object} options - Classifier options.
+   * @param {LLMClient} options.llmClient - Client for classifying queries the keywords can't
+   *   settle (the orchestrator sets its own); without one, such queries use the best keyword match.
+   * @param {string} options.classifierModel - Model ID or alias for that call (default: "fast-small").
+   * @param {LocalClassifier} options.localClassifier - Trained offline classifier, asked before the LLM.
+   * @param {object} options.taskTypes - Extra task types for this classifier only: { taskType: config } (see TASK_TYPES).
+   * @param {number} options.confidenceThreshold - Keyword confidence needed to skip the LLM
+   *   (other keyword scoring options: see DEFAULT_CLASSIFIER_OPTIONS).
    */
-  constructor(modelManager = defaultModelManager) {
+  constructor(modelManager = defaultModelManager, options = {}) {
+    const {
+      llmClient,
+      classifierModel,
+      localClassifier,
+      taskTypes,
+      ...scoring
+    } = options;
     this.modelManager = modelManager;
+    // Built-in task types plus this classifier's custom ones (see addTaskType)
+    this.taskTypes = { ...TASK_TYPES, ...taskTypes };
+    this.llmClient = llmClient || null;
+    this.localClassifier = localClassifier || null;
+    this.classifierModel = classifierModel || DEFAULT_CLASSIFIER_MODEL;
+    this.options = { ...DEFAULT_CLASSIFIER_OPTIONS, ...scoring };
+  }
+  /**
+   * Update keyword scoring options (e.g. confidenceThreshold).
+   * @param {object} options - Options to change (see DEFAULT_CLASSIFIER_OPTIONS).
+   */
+  setOptions(options = {}) {
+    this.options = { ...this.options, ...options };
   }
   /**
    * Classify a query and determine task type and model.
    * @param {string} queryText - The user's query.
-   * @returns {Promise<object>} - Classification result.
+   * @param {object} options - Optional { signal, timeoutMs, priority, callLLM } for the LLM fallback (see classifyWithLLM).
+   * @returns {Promise<object>} - Classification result; source is "keywords",
+   *   "local", "llm" or "default" depending on where the task came from,
+   *   confidence is the keyword confidence or local classifier probability
+   *   (null for other sources), ranking is rankTasks' result and classifierError
+   *   is the LLMError of a classifier model call that gave no task (else null).
    */
-  async classifyQuery(queryText) {
+  async classifyQuery(queryText, options = {}) {
     if (!queryText) {
       return {
         task: "LLM_Default",
         model: this.modelManager.getModelForComplexity("SHORT"),
         complexity: "SHORT",
         reason: "Empty query",
+        source: "default",
+        confidence: null,
+        ranking: [],
+        classifierError: null,
       };
     }
     // Analyze text complexity
     const complexityAnalysis = TextComplexityAnalyzer.analyze(queryText);
     console.log("Text complexity analysis:", complexityAnalysis);
-    // Determine task type by keywords
-    let task = this.determineTaskType(queryText);
-    // If no keyword matches, use GroqCloud llama3-8b-8192 to classify
-    if (task === "LLM_Default") {
-      const prompt =
-        "Classify the following user query into one of the following task types: " +
-        "LLM_Summary, LLM_Creation, LLM_Ideation, LLM_Analysis, LLM_Converter, or LLM_Default. " +
-        "If the query asks to 'analyze', 'analyse', 'analysis', 'explain', 'compare', 'evaluate', 'assess', or similar, classify as LLM_Analysis. " +
-        "Only return the task type.\n\nUser query: " +
-        queryText +
-        "\nTask type:";
-      try {
-        const response = await fetch("/api/llm", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            model: "llama3-8b-8192",
-            messages: [
-              {
-                role: "system",
-                content:
-                  "You are a helpful AI assistant that classifies user queries.",
-              },
-              { role: "user", content: prompt },
-            ],
-            max_tokens: 10,
-            temperature: 0.0,
-          }),
-        });
-        if (response.ok) {
-          const result = await response.json();
-          if (result.choices && result.choices.length > 0) {
-            task = result.choices[0].message.content.trim();
-          }
-        }
-      } catch (e) {
-        // Fallback to LLM_Default
-        task = "LLM_Default";
+    // Score every task type by its keywords
+    const ranking = this.rankTasks(queryText);
+    const [best] = ranking;
+    let task = "LLM_Default";
+    let source = "default";
+    let confidence = null;
+    let classifierError = null;
+    // Not confident enough: ask the local classifier (free), then the
+    // classifier model, then fall back to the best keyword match (if any)
+    const confident =
+      best && best.confidence >= this.options.confidenceThreshold;
+    const local = confident ? null : this.classifyLocally(queryText);
+    if (confident) {
+      ({ task, confidence } = best);
+      source = "keywords";
+    } else if (local) {
+      ({ task, confidence } = local);
+      source = "local";
+    } else {
+      const llm = await this.classifyWithLLM(queryText, options);
+      classifierError = llm.error;
+      if (llm.task) {
+        task = llm.task;
+        source = "llm";
+      } else if (best && best.score > 0) {
+        ({ task, confidence } = best);
+        source = "keywords";
       }
     }
     // Get appropriate model
@@ -238,26 +341,236 @@ export class TaskClassifier {
       complexity: complexityAnalysis.complexity,
       reason: complexityAnalysis.reason,
       stats: complexityAnalysis.stats,
+      source,
+      confidence,
+      ranking,
+      classifierError,
     };
   }
+  /**
+   * Ask the local classifier for a query's task type.
+   * @param {string} queryText - The user's query.
+   * @returns {object|null} - { task, confidence }, or null if there is no trained
+   *   local classifier or it is not confident enough.
+   */
+  classifyLocally(queryText) {
+    if (!this.localClassifier || !this.localClassifier.isTrained()) {
+      return null;
+    }
+    const result = this.localClassifier.classify(queryText);
+    // The local classifier may know tasks this classifier does not
+    return result && Object.hasOwn(this.taskTypes, result.task)
+      ? { task: result.task, confidence: result.confidence }
+      : null;
+  }
+  /**
+   * Ask the classifier model for a query's task type.
+   * @param {string} queryText - The user's query.
+   * @param {object} options - Optional { signal, timeoutMs, priority }, and callLLM:
+   *   a function making the call instead of the LLM client (the orchestrator
+   *   passes one that logs the call's cost).
+   * @returns {Promise<object>} - { task, error }: task is a TASK_TYPES key, or null
+   *   if there is no LLM client, the call failed or the answer names no known
+   *   task; error is the LLMError explaining a null task (null without a client).
+   * @throws {CassetteMissError} - If a replaying cassette has no recording of the call.
+   */
+  async classifyWithLLM(queryText, options = {}) {
+    if (!this.llmClient) {
+      return { task: null, error: null };
+    }
+    const callLLM =
+      options.callLLM || ((params) => this.llmClient.callLLM(params));
+    const taskList = Object.entries(this.taskTypes)
+      .map(([taskType, config]) => `- ${taskType}: ${config.description}`)
+      .join("\n");
+    const prompt =
+      "Classify the following user query into one of these task types:\n" +
+      taskList +
+      "\nIf the query asks to 'analyze', 'analyse', 'analysis', 'explain', 'compare', 'evaluate', 'assess', or similar, classify as LLM_Analysis. " +
+      "Only return the task type.\n\nUser query: " +
+      queryText +
+      "\nTask type:";
+    let model = this.classifierModel;
+    try {
+      model = this.getClassifierModel();
+      const result = await callLLM({
+        model,
+        messages: [
+          {
+            role: "system",
+            content:
+              "You are a helpful AI assistant that classifies user queries.",
+          },
+          { role: "user", content: prompt },
+        ],
+        maxTokens: 20,
+        temperature: 0.0,
+        signal: options.signal,
+        timeoutMs: options.timeoutMs,
+        priority: options.priority,
+      });
+      if (!result.success) {
+        return { task: null, error: result.error };
+      }
+      const task = this.parseTaskType(result.text);
+      if (!task) {
+        return {
+          task: null,
+          error: new LLMError(
+            `Classifier model ${model} named no known task type`,
+            { code: ERROR_CODES.UNKNOWN, model, details: result.text }
+          ),
+        };
+      }
+      return { task, error: null };
+    } catch (error) {
+      // A replay that can't be answered is a test setup problem, not a failed call
+      if (error instanceof CassetteMissError) {
+        throw error;
+      }
+      // e.g. an unknown classifier model or an unconfigured provider
+      return {
+        task: null,
+        error:
+          error instanceof LLMError
+            ? error
+            : new LLMError(error.message, {
+                code: ERROR_CODES.UNKNOWN,
+                model,
+                cause: error,
+              }),
+      };
+    }
+  }
+  /**
+   * Get the model to classify queries with: the classifier model, or the
+   * strategy's SHORT tier model if the strategy does not allow it (e.g. a
+   * remote classifier model under LOCAL_ONLY).
+   * @returns {string} - Model ID.
+   * @throws {ModelNotFound} - If the classifier model is not in the registry.
+   */
+  getClassifierModel() {
+    const model = this.modelManager.resolveModel(this.classifierModel);
+    return this.modelManager.isModelAllowed(model)
+      ? model
+      : this.modelManager.getModelForComplexity("SHORT");
+  }
+  /**
+   * Find the task type named in a classifier model's answer, e.g.
+   * "LLM_Summary", "Task type: llm_summary." or "Summary".
+   * @param {string} text - The model's answer.
+   * @returns {string|null} - A TASK_TYPES key, or null if none is named.
+   */
+  parseTaskType(text) {
+    const answer = (text || "").trim().toLowerCase();
+    if (!answer) {
+      return null;
+    }
+    const taskTypes = Object.keys(this.taskTypes);
+    const exact = taskTypes.find(
+      (taskType) => taskType.toLowerCase() === answer
+    );
+    if (exact) {
+      return exact;
+    }
+    // Otherwise take the longest task type or name the answer mentions as a word
+    const mentions = (label) =>
+      new RegExp(
+        `(^|[^a-z0-9_])${escapeRegExp(label.toLowerCase())}($|[^a-z0-9_])`
+      ).test(answer);
+    const candidates = [
+      ...taskTypes.map((taskType) => [taskType, taskType]),
+      ...taskTypes.map((taskType) => [this.taskTypes[taskType].name, taskType]),
+    ]
+      .filter(([label]) => label && mentions(label))
+      .sort(([a], [b]) => b.length - a.length);
+    return candidates.length > 0 ? candidates[0][1] : null;
+  }
   /**
    * Determine task type based on keywords in the query.
    * @param {string} queryText - The user's query.
-   * @returns {string} - Task type identifier.
+   * @returns {string} - The best-scoring task type, or LLM_Default if its
+   *   confidence is below the threshold.
    */
   determineTaskType(queryText) {
-    const query = queryText.toLowerCase().trim();
-    // Check for task-specific keywords
-    for (const [taskType, taskConfig] of Object.entries(TASK_TYPES)) {
-      if (taskType === "LLM_Default") continue; // Skip default, check others first
-      for (const keyword of taskConfig.keywords) {
-        if (query.includes(keyword)) {
-          return taskType;
+    const [best] = this.rankTasks(queryText);
+    return best && best.confidence >= this.options.confidenceThreshold
+      ? best.task
+      : "LLM_Default";
+  }
+  /**
+   * Score every task type (except LLM_Default) by the keywords found in a
+   * query. Keywords match as whole words, in another form (same stem) or, for
+   * multi-word keywords, as a phrase; earlier words weigh more. Keywords with
+   * the same stem count once per task.
+   * @param {string} queryText - The user's query.
+   * @returns {Array<object>} - { task, score, confidence, matches } entries, best
+   *   first (ties keep TASK_TYPES order). confidence is the task's share of the
+   *   total score (plus smoothing), from 0 to 1; matches lists the keywords found.
+   */
+  rankTasks(queryText) {
+    const { smoothing } = this.options;
+    const words = tokenize(queryText);
+    const stems = words.map(stemWord);
+    const ranking = [];
+    for (const [taskType, taskConfig] of Object.entries(this.taskTypes)) {
+      if (taskType === "LLM_Default") continue;
+      const best = new Map();
+      for (const keyword of taskConfig.keywords || []) {
+        const weight = this.matchKeyword(keyword, words, stems);
+        if (weight === 0) continue;
+        const key = tokenize(keyword).map(stemWord).join(" ");
+        if (!best.has(key) || best.get(key).weight < weight) {
+          best.set(key, { keyword, weight });
         }
       }
+      const matches = [...best.values()];
+      ranking.push({
+        task: taskType,
+        score: matches.reduce((sum, match) => sum + match.weight, 0),
+        matches: matches.map((match) => match.keyword),
+      });
     }
-    // If no specific keywords found, use AI classification
-    return "LLM_Default";
+    const total = ranking.reduce((sum, entry) => sum + entry.score, 0);
+    return ranking
+      .map((entry) => ({
+        ...entry,
+        confidence: entry.score > 0 ? entry.score / (total + smoothing) : 0,
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+  /**
+   * Get the weight of a keyword's strongest match in a query.
+   * @param {string} keyword - Keyword or phrase.
+   * @param {Array<string>} words - The query's words.
+   * @param {Array<string>} stems - The stems of those words.
+   * @returns {number} - Match weight (0 if the keyword is not found).
+   */
+  matchKeyword(keyword, words, stems) {
+    const { exactWeight, stemWeight, phraseWeight, positionWeight } =
+      this.options;
+    const keywordWords = tokenize(keyword);
+    const keywordStems = keywordWords.map(stemWord);
+    if (keywordWords.length === 0) {
+      return 0;
+    }
+    let best = 0;
+    for (let i = 0; i + keywordWords.length <= words.length; i++) {
+      let weight = 0;
+      if (keywordWords.every((word, j) => words[i + j] === word)) {
+        weight = exactWeight;
+      } else if (keywordStems.every((stem, j) => stems[i + j] === stem)) {
+        weight = stemWeight;
+      }
+      if (weight === 0) continue;
+      if (keywordWords.length > 1) {
+        weight *= phraseWeight;
+      }
+      // Earlier words weigh more (instructions tend to come first)
+      weight *= 1 + positionWeight / (i + 1);
+      best = Math.max(best, weight);
+    }
+    return best;
   }
   /**
    * Get the appropriate model for a task and complexity.
@@ -266,6 +579,10 @@ export class TaskClassifier {
    * @returns {string} - Model ID.
    */
   getModelForTask(task, complexity) {
+    // Adaptive and scoring strategies take the task into account themselves
+    if (this.modelManager.isAdaptive() || this.modelManager.isScored()) {
+      return this.modelManager.selectModel(task, complexity);
+    }
     // Get base model for complexity
     let model = this.modelManager.getModelForComplexity(complexity);
     // Override for complex analysis tasks
@@ -274,16 +591,14 @@ export class TaskClassifier {
       (complexity === "LONG" || complexity === "VERY_LONG")
     ) {
       // Use better models for complex analysis
-      const betterModels = [
-        "mixtral-8x7b-32768",
-        "llama3-70b-8192",
-        "claude-3-sonnet",
-      ];
+      const betterModels = ["long-context", "smart-large", "premium"];
       for (const betterModel of betterModels) {
         if (
+          this.modelManager.hasModel(betterModel) &&
+          this.modelManager.isModelAllowed(betterModel) &&
           this.modelManager.modelSupportsCapability(betterModel, "analysis")
         ) {
-          model = betterModel;
+          model = this.modelManager.resolveModel(betterModel);
           break;
         }
       }
@@ -294,13 +609,32 @@ export class TaskClassifier {
    * Get the config for a task type.
    */
   getTaskConfig(taskType) {
-    return TASK_TYPES[taskType] || TASK_TYPES.LLM_Default;
+    return Object.hasOwn(this.taskTypes, taskType)
+      ? this.taskTypes[taskType]
+      : this.taskTypes.LLM_Default;
   }
   /**
    * Get all available task types.
    */
   getAvailableTasks() {
-    return Object.keys(TASK_TYPES);
+    return Object.keys(this.taskTypes);
+  }
+  /**
+   * Get this classifier's task types table (built-in and custom), e.g. to
+   * train a LocalClassifier on custom tasks.
+   * @returns {object} - { taskType: config }.
+   */
+  getTaskTypes() {
+    return this.taskTypes;
+  }
+  /**
+   * Add a task type to this classifier only (TASK_TYPES and other
+   * classifiers are left unchanged), replacing any with the same name.
+   * @param {string} taskType - Task type identifier, e.g. "LLM_CodeReview".
+   * @param {object} config - { name, description, keywords, maxTokens, temperature }.
+   */
+  addTaskType(taskType, config) {
+    this.taskTypes[taskType] = { ...config };
   }
   /**
    * Set the model manager (for dynamic model config changes).
@@ -308,6 +642,24 @@ export class TaskClassifier {
   setModelManager(modelManager) {
     this.modelManager = modelManager;
   }
+  /**
+   * Set the LLM client used to classify queries the keywords can't settle.
+   */
+  setLLMClient(llmClient) {
+    this.llmClient = llmClient;
+  }
+  /**
+   * Set the trained local classifier asked before the LLM (null removes it).
+   */
+  setLocalClassifier(localClassifier) {
+    this.localClassifier = localClassifier;
+  }
+  /**
+   * Set the model (ID or alias) used to classify queries the keywords can't settle.
+   */
+  setClassifierModel(model) {
+    this.classifierModel = model;
+  }
 }
 
 // Export default task classifier instance
@@ -0,0 +1,136 @@
+// Tools Library
+// This module manages tools (function calling): each tool has a JSON schema for its arguments and a JS handler.
+// The orchestrator passes tool definitions to the model and runs the handlers for any tool calls it makes.
+
+// Tool names must be accepted by every provider (OpenAI and Anthropic share this rule)
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Tool registry class: stores tools and executes model tool calls
+export class ToolRegistry {
+  constructor() {
+    this.tools = {};
+  }
+
+  /**
+   * Register a tool.
+   * @param {string} name - Tool name (letters, digits, "_" and "-", max 64 chars).
+   * @param {object} definition - { description, parameters, handler }.
+   * @param {string} definition.description - What the tool does (shown to the model).
+   * @param {object} definition.parameters - JSON Schema for the tool's arguments.
+   * @param {function} definition.handler - async (args, { signal, toolCall }) => result.
+   */
+  registerTool(name, definition) {
+    if (!TOOL_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid tool name "${name}": use letters, digits, "_" or "-" (max 64 characters)`
+      );
+    }
+    if (!definition || typeof definition.handler !== "function") {
+      throw new Error(`Tool "${name}" needs a handler function`);
+    }
+    this.tools[name] = {
+      name,
+      description: definition.description || "",
+      parameters: definition.parameters || { type: "object", properties: {} },
+      handler: definition.handler,
+    };
+  }
+
+  /**
+   * Remove a tool.
+   */
+  removeTool(name) {
+    delete this.tools[name];
+  }
+
+  /**
+   * Get a registered tool by name.
+   */
+  getTool(name) {
+    return this.tools[name] || null;
+  }
+
+  /**
+   * Get all registered tool names.
+   */
+  getToolNames() {
+    return Object.keys(this.tools);
+  }
+
+  /**
+   * Get provider-neutral tool definitions ({ name, description, parameters })
+   * for passing to the LLM client. Adapters convert them to each provider's format.
+   * @param {Array<string>|null} names - Tools to include (default: all).
+   * @returns {Array<object>} - Tool definitions.
+   */
+  getToolDefinitions(names = null) {
+    const selected = names || this.getToolNames();
+    return selected.map((name) => {
+      const tool = this.tools[name];
+      if (!tool) {
+        throw new Error(`Unknown tool "${name}"`);
+      }
+      return {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      };
+    });
+  }
+
+  /**
+   * Run the handler for one model tool call and build the tool result message.
+   * Handler errors are reported back to the model rather than thrown.
+   * @param {object} toolCall - { id, type: "function", function: { name, arguments } }.
+   * @param {object} context - Optional { signal } passed to the handler.
+   * @returns {Promise<object>} - { message, record } - the "tool" role message and a log entry.
+   */
+  async executeToolCall(toolCall, context = {}) {
+    const name = toolCall.function?.name;
+    const startedAt = Date.now();
+    const record = { id: toolCall.id, name, arguments: null };
+    let content;
+
+    try {
+      const tool = this.tools[name];
+      if (!tool) {
+        throw new Error(`Unknown tool "${name}"`);
+      }
+      const rawArguments = toolCall.function.arguments;
+      const args =
+        typeof rawArguments === "string"
+          ? JSON.parse(rawArguments || "{}")
+          : rawArguments || {};
+      record.arguments = args;
+
+      const result = await tool.handler(args, {
+        signal: context.signal,
+        toolCall,
+      });
+      record.result = result;
+      // Providers reject tool messages without content, e.g. from handlers
+      // that return nothing (JSON.stringify(undefined) is undefined)
+      content =
+        typeof result === "string" ? result : JSON.stringify(result) ?? "";
+    } catch (error) {
+      record.error = error.message;
+      content = JSON.stringify({ error: error.message });
+    }
+    record.durationMs = Date.now() - startedAt;
+
+    return {
+      message: { role: "tool", tool_call_id: toolCall.id, content },
+      record,
+    };
+  }
+}
+
+// Export default tool registry instance (singleton)
+let _defaultToolRegistry = null;
+
+export function getDefaultToolRegistry() {
+  if (!_defaultToolRegistry) {
+    _defaultToolRegistry = new ToolRegistry();
+  }
+  return _defaultToolRegistry;
+}
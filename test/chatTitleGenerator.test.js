@@ -0,0 +1,20 @@
+// ChatTitleGenerator Replay Tests
+// These tests replay a recorded title request (fixtures/chat-title.json) through the orchestrator's generator.
+// Run them offline with `node --test test/`; no API key or network access is needed.
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { replayOrchestrator } from "./helpers.js";
+
+test("generateChatTitle returns the recorded title", async () => {
+  const ai = await replayOrchestrator("chat-title.json");
+  const title = await ai.generateChatTitle(
+    "Let's brainstorm startup ideas for a small town."
+  );
+  assert.equal(title, "Startup Ideas Brainstorm");
+});
+
+test("generateChatTitle skips the model for very short messages", async () => {
+  const ai = await replayOrchestrator("chat-title.json");
+  assert.equal(await ai.generateChatTitle("Hi"), "New Chat");
+});
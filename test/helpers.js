@@ -0,0 +1,30 @@
+// Test Helpers
+// Shared setup for the replay tests: orchestrators that answer only from committed cassettes.
+// Any request missing from a cassette throws CassetteMissError instead of reaching the network.
+
+import { fileURLToPath } from "node:url";
+import { createAIOrchestrator } from "../ai-lib/index.js";
+
+/**
+ * Get the path of a cassette in test/fixtures.
+ * @param {string} name - Fixture file name.
+ * @returns {string} - Absolute path.
+ */
+export function fixturePath(name) {
+  return fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+}
+
+/**
+ * Create an orchestrator that replays a fixture cassette (strict replay, no network).
+ * @param {string} name - Fixture file name.
+ * @param {object} options - Options for createAIOrchestrator.
+ * @returns {Promise<AIOrchestrator>} - The orchestrator.
+ */
+export async function replayOrchestrator(name, options = {}) {
+  const ai = createAIOrchestrator(options);
+  ai.llmClient.fetchImpl = () => {
+    throw new Error("Replay tests must not reach the network");
+  };
+  await ai.llmClient.useCassette(fixturePath(name), { mode: "replay" });
+  return ai;
+}
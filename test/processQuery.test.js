@@ -0,0 +1,53 @@
+// processQuery Replay Tests
+// These tests replay a recorded Groq exchange (fixtures/process-query.json) through the full pipeline.
+// Run them offline with `node --test test/`; no API key or network access is needed.
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { CassetteMissError } from "../ai-lib/index.js";
+import { replayOrchestrator } from "./helpers.js";
+
+test("processQuery answers from the recorded exchange", async () => {
+  const ai = await replayOrchestrator("process-query.json");
+  const result = await ai.processQuery(
+    "Summarize the history of Paris in two sentences."
+  );
+
+  assert.equal(result.success, true);
+  assert.match(result.text, /^Paris is the capital of France\./);
+  assert.equal(result.task, "LLM_Summary");
+  assert.equal(result.model, "llama-3.3-70b-versatile");
+  assert.equal(result.provider, "groq");
+  assert.deepEqual(result.usage, {
+    promptTokens: 67,
+    completionTokens: 23,
+    cachedTokens: 0,
+  });
+  assert.ok(result.cost.total > 0);
+  assert.equal(result.metadata.classification.source, "keywords");
+  assert.deepEqual(
+    result.metadata.calls.map((call) => call.purpose),
+    ["answer"]
+  );
+});
+
+test("processQuery replays identically on every run", async () => {
+  const first = await replayOrchestrator("process-query.json");
+  const second = await replayOrchestrator("process-query.json");
+  const query = "Summarize the history of Paris in two sentences.";
+  const [a, b] = await Promise.all([
+    first.processQuery(query),
+    second.processQuery(query),
+  ]);
+  assert.equal(a.text, b.text);
+  assert.deepEqual(a.usage, b.usage);
+  assert.deepEqual(a.cost, b.cost);
+});
+
+test("processQuery throws CassetteMissError for an unrecorded query", async () => {
+  const ai = await replayOrchestrator("process-query.json");
+  await assert.rejects(
+    ai.processQuery("Summarize the history of Rome in two sentences."),
+    CassetteMissError
+  );
+});
@@ -0,0 +1,40 @@
+// TaskClassifier Replay Tests
+// These tests replay the classifier model call made when no keyword matches (fixtures/classifier-fallback.json).
+// Run them offline with `node --test test/`; no API key or network access is needed.
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { replayOrchestrator } from "./helpers.js";
+
+const QUERY = "bakery weekend thoughts";
+
+test("classifyQuery asks the classifier model when no keyword matches", async () => {
+  const ai = await replayOrchestrator("classifier-fallback.json");
+  const classification = await ai.taskClassifier.classifyQuery(QUERY);
+
+  assert.equal(classification.task, "LLM_Ideation");
+  assert.equal(classification.source, "llm");
+  assert.equal(classification.confidence, null);
+  assert.equal(classification.classifierError, null);
+  assert.ok(classification.ranking.every((entry) => entry.score === 0));
+});
+
+test("processQuery answers with the task the classifier model chose", async () => {
+  const ai = await replayOrchestrator("classifier-fallback.json");
+  const result = await ai.processQuery(QUERY);
+
+  assert.equal(result.success, true);
+  assert.equal(result.task, "LLM_Ideation");
+  assert.equal(result.metadata.classification.source, "llm");
+  assert.match(result.text, /weekend market/);
+
+  // The classifier call is logged and charged alongside the answer
+  const [classification, answer] = result.metadata.calls;
+  assert.equal(classification.purpose, "classification");
+  assert.equal(classification.model, "llama-3.1-8b-instant");
+  assert.equal(answer.purpose, "answer");
+  assert.equal(
+    result.cost.total,
+    classification.cost.total + answer.cost.total
+  );
+});
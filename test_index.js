@@ -1,4 +1,9 @@
-import { createAIOrchestrator, setApiKey } from "./ai-lib/index.js";
+import {
+  createAIOrchestrator,
+  AIOrchestrators,
+  setApiKey,
+} from "./ai-lib/index.js";
+import assert from "node:assert";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -8,6 +13,31 @@ setApiKey("groq", process.env.GROQ_API_KEY);
 // Create an orchestrator instance
 const ai = createAIOrchestrator();
 
+// Optional record/replay: AI_CASSETTE=path/to/cassette.json AI_CASSETTE_MODE=record|replay
+// Record once with a live key, then replay offline with identical output.
+if (process.env.AI_CASSETTE) {
+  await ai.llmClient.useCassette(process.env.AI_CASSETTE, {
+    mode: process.env.AI_CASSETTE_MODE || "replay",
+  });
+}
+
+// Each orchestrator has its own model catalog
+const other = createAIOrchestrator();
+other.addCustomModel("catalog-test-model", {
+  ...other.modelManager.getModelConfig("llama-3.1-8b-instant"),
+  name: "Catalog test model",
+});
+assert.ok(other.modelManager.hasModel("catalog-test-model"));
+assert.ok(
+  !ai.modelManager.hasModel("catalog-test-model"),
+  "Models added to one orchestrator must not reach another"
+);
+
+// Presets never change each other's strategy
+const localOnly = AIOrchestrators.LocalOnly();
+AIOrchestrators.Balanced();
+assert.equal(localOnly.modelManager.getStrategy(), "LOCAL_ONLY");
+
 // Provide a mock chat history for testing
 const chatHistory = {
   messages: [
@@ -21,15 +51,12 @@ const chatHistory = {
 // Test a query
 ai.processQuery("What happened in this conversation?", chatHistory)
   .then((result) => {
-    // Try to print just the LLM's response if available
-    if (
-      result &&
-      result.choices &&
-      result.choices[0] &&
-      result.choices[0].message &&
-      result.choices[0].message.content
-    ) {
-      console.log("LLM Response:", result.choices[0].message.content);
+    // Print just the LLM's response if the call succeeded
+    if (result && result.success) {
+      console.log("LLM Response:", result.text);
+      console.log("Model:", result.model, `(${result.provider})`);
+      console.log("Usage:", result.usage, `in ${result.latencyMs}ms`);
+      console.log("Cost:", result.cost);
     } else {
       console.log("Full result:", result);
     }